@@ -11,6 +11,7 @@ dotenv.config({ path: 'config.env' });
 const ApiError = require('./utils/apiError');
 const globalError = require('./middlewares/errorMiddleware');
 const dbConnection = require('./config/database');
+const startJobs = require('./jobs');
 // Routes
 const mountRoutes = require('./routes/index');
 const PORT = process.env.PORT || 8000;
@@ -18,6 +19,9 @@ const PORT = process.env.PORT || 8000;
 // Connect with db
 dbConnection();
 
+// Background jobs
+startJobs();
+
 // express app
 const app = express();
 
@@ -0,0 +1,34 @@
+const { releaseExpiredHolds } = require('../services/holdService');
+const { expireUnpaidBookings } = require('../services/paymentService');
+const { confirmExpiredReschedules } = require('../services/rescheduleService');
+const { publishScheduledEvents } = require('../services/eventWorkflowService');
+const { reissueLegacyQRCodes } = require('../services/ticketService');
+
+// Run a job on a fixed interval, skipping a tick while the previous run is still going
+const schedule = (name, job, interval) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (err) {
+      console.error(`Job ${name} failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  }, interval);
+  timer.unref();
+  return timer;
+};
+
+// Start background jobs
+const startJobs = () => {
+  schedule('release-expired-holds', releaseExpiredHolds, 60 * 1000);
+  schedule('expire-unpaid-bookings', expireUnpaidBookings, 5 * 60 * 1000);
+  schedule('confirm-expired-reschedules', confirmExpiredReschedules, 5 * 60 * 1000);
+  schedule('publish-scheduled-events', publishScheduledEvents, 60 * 1000);
+  schedule('reissue-legacy-qr-codes', reissueLegacyQRCodes, 5 * 60 * 1000);
+};
+
+module.exports = startJobs;
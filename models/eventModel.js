@@ -1,6 +1,199 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 
+// Ticket tier (VIP, Regular, Student...) with its own price and quota
+const ticketTypeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Ticket type name is required'],
+      trim: true,
+      maxlength: [50, 'Ticket type name cannot exceed 50 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Ticket type description cannot exceed 200 characters']
+    },
+    price: {
+      type: Number,
+      required: [true, 'Ticket type price is required'],
+      min: [0, 'Price cannot be negative']
+    },
+    currency: {
+      type: String,
+      default: 'EGP',
+      enum: ['EGP', 'USD', 'EUR']
+    },
+    quota: {
+      type: Number,
+      required: [true, 'Ticket type quota is required'],
+      min: [1, 'Quota must be at least 1']
+    },
+    sold: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    held: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    salesStart: Date,
+    salesEnd: Date,
+    maxPerOrder: {
+      type: Number,
+      default: 10,
+      min: [1, 'Per-order limit must be at least 1']
+    },
+    // Names of the gates this tier can enter through, any gate when empty (e.g. a VIP entrance)
+    gates: [String],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+ticketTypeSchema.virtual('available').get(function() {
+  return Math.max(this.quota - this.sold - (this.held || 0), 0);
+});
+
+// Refund rule: cancelling at least `hoursBefore` hours before the event refunds `percentage` of the price
+const refundRuleSchema = new mongoose.Schema(
+  {
+    hoursBefore: {
+      type: Number,
+      required: [true, 'Refund rule hours before event is required'],
+      min: [0, 'Hours before event cannot be negative']
+    },
+    percentage: {
+      type: Number,
+      required: [true, 'Refund rule percentage is required'],
+      min: [0, 'Refund percentage cannot be negative'],
+      max: [100, 'Refund percentage cannot exceed 100']
+    }
+  },
+  { _id: false }
+);
+
+// Without a policy, tickets are fully refunded up to 24 hours before the event
+const DEFAULT_REFUND_RULES = [{ hoursBefore: 24, percentage: 100 }];
+
+// Venue layout: sections -> rows -> seats. Seat labels are unique per event
+// and are what tickets store as `seatInfo.seatNumber`
+const seatSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      required: [true, 'Seat label is required'],
+      trim: true,
+      maxlength: [10, 'Seat label cannot exceed 10 characters']
+    },
+    isBlocked: {
+      type: Boolean,
+      default: false
+    },
+    isAccessible: {
+      type: Boolean,
+      default: false
+    }
+  },
+  { _id: false }
+);
+
+const seatRowSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      required: [true, 'Row label is required'],
+      trim: true
+    },
+    seats: [seatSchema]
+  },
+  { _id: false }
+);
+
+const seatSectionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Section name is required'],
+      trim: true
+    },
+    rows: [seatRowSchema]
+  },
+  { _id: false }
+);
+
+// Entrance of the venue and the staff accounts allowed to scan tickets there
+const gateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Gate name is required'],
+      trim: true,
+      maxlength: [50, 'Gate name cannot exceed 50 characters']
+    },
+    staff: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ]
+  },
+  { _id: false }
+);
+
+// One step of the editorial workflow, `by` is empty for moves made by the scheduler
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// One move of the event to new dates, kept so attendees can see what changed
+const rescheduleSchema = new mongoose.Schema(
+  {
+    from: {
+      start: Date,
+      end: Date
+    },
+    to: {
+      start: Date,
+      end: Date
+    },
+    reason: String,
+    // Ticket holders can ask for a refund until then, later their tickets are confirmed
+    respondBy: Date,
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
 const eventSchema = new mongoose.Schema(
   {
     title: {
@@ -34,6 +227,12 @@ const eventSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'Event organizer is required']
     },
+    // Occurrence of a recurring series, `occurrenceDate` is the start the recurrence rule gave it
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EventSeries'
+    },
+    occurrenceDate: Date,
     coverImage: {
       type: String,
       required: [true, 'Cover image is required']
@@ -98,13 +297,72 @@ const eventSchema = new mongoose.Schema(
       soldSeats: {
         type: Number,
         default: 0
+      },
+      heldSeats: {
+        type: Number,
+        default: 0
+      }
+    },
+    ticketTypes: [ticketTypeSchema],
+    seatMap: {
+      sections: [seatSectionSchema]
+    },
+    refundPolicy: {
+      rules: [refundRuleSchema]
+    },
+    allowTransfers: {
+      type: Boolean,
+      default: true
+    },
+    // Without gates any free-text gate name is accepted at check-in
+    gates: [gateSchema],
+    // Let checked-in attendees leave and come back (multi-day events)
+    allowReEntry: {
+      type: Boolean,
+      default: false
+    },
+    resale: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Highest resale price as a percentage of the ticket face value
+      maxPricePercentage: {
+        type: Number,
+        default: 100,
+        min: [1, 'Resale price cap must be at least 1%'],
+        max: [500, 'Resale price cap cannot exceed 500%']
       }
     },
+    // Moves between statuses go through PATCH /events/:id/status, see eventWorkflowService
     status: {
       type: String,
-      enum: ['draft', 'published', 'cancelled', 'completed'],
+      enum: ['draft', 'in_review', 'scheduled', 'published', 'cancelled', 'completed'],
       default: 'draft'
     },
+    // When a scheduled event goes live
+    publishAt: Date,
+    statusHistory: [statusChangeSchema],
+    // Edits a manager made to what attendees see of an approved event, they go live once an admin
+    // approves them through PATCH /events/:id/pending-changes
+    pendingChanges: {
+      changes: mongoose.Schema.Types.Mixed,
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      requestedAt: Date
+    },
+    reschedules: [rescheduleSchema],
+    // Set when the organizer cancels the event through POST /events/:id/cancel
+    cancellation: {
+      reason: String,
+      cancelledAt: Date,
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
     tags: {
       type: String,
       trim: true
@@ -155,7 +413,9 @@ eventSchema.index({ title: 'text', description: 'text' });
 eventSchema.index({ category: 1 });
 eventSchema.index({ 'dateTime.start': 1 });
 eventSchema.index({ status: 1 });
+eventSchema.index({ status: 1, publishAt: 1 });
 eventSchema.index({ 'venue.city': 1 });
+eventSchema.index({ series: 1, occurrenceDate: 1 });
 
 // Virtual populate for reviews
 eventSchema.virtual('reviews', {
@@ -180,6 +440,45 @@ eventSchema.virtual('avgRating').get(function() {
   return 0;
 });
 
+// Whether the event has a reserved seating layout
+eventSchema.methods.hasSeatMap = function() {
+  return Boolean(this.seatMap && this.seatMap.sections && this.seatMap.sections.length > 0);
+};
+
+// Flatten the seat map into a list of seats with their section and row
+eventSchema.methods.listSeats = function() {
+  if (!this.hasSeatMap()) return [];
+  return this.seatMap.sections.flatMap((section) =>
+    section.rows.flatMap((row) =>
+      row.seats.map((seat) => ({
+        seatNumber: seat.label,
+        section: section.name,
+        row: row.label,
+        isBlocked: seat.isBlocked,
+        isAccessible: seat.isAccessible
+      }))
+    )
+  );
+};
+
+// Find a seat on the seat map by its label
+eventSchema.methods.findSeat = function(seatNumber) {
+  return this.listSeats().find((seat) => seat.seatNumber === seatNumber) || null;
+};
+
+// Refund percentage for a cancellation made at `date`, or null when tickets can no longer be cancelled
+eventSchema.methods.refundPercentageAt = function(date = new Date()) {
+  const rules = this.refundPolicy && this.refundPolicy.rules && this.refundPolicy.rules.length > 0
+    ? this.refundPolicy.rules
+    : DEFAULT_REFUND_RULES;
+  const hoursUntilEvent = (this.dateTime.start - date) / (1000 * 60 * 60);
+
+  const rule = [...rules]
+    .sort((a, b) => b.hoursBefore - a.hoursBefore)
+    .find((candidate) => hoursUntilEvent >= candidate.hoursBefore);
+  return rule ? rule.percentage : null;
+};
+
 // Create slug before save
 eventSchema.pre('save', function(next) {
   if (this.title) {
@@ -197,7 +496,26 @@ eventSchema.pre('save', function(next) {
 // Update available seats when sold seats change
 eventSchema.pre('save', function(next) {
   if (this.isModified('capacity.soldSeats')) {
-    this.capacity.availableSeats = this.capacity.totalSeats - this.capacity.soldSeats;
+    this.capacity.availableSeats =
+      this.capacity.totalSeats - this.capacity.soldSeats - (this.capacity.heldSeats || 0);
+  }
+  next();
+});
+
+// Validate ticket type quotas fit in the venue capacity
+eventSchema.pre('save', function(next) {
+  const totalQuota = this.ticketTypes.reduce((sum, type) => sum + type.quota, 0);
+  if (totalQuota > this.capacity.totalSeats) {
+    return next(new Error('Ticket type quotas cannot exceed total seats'));
+  }
+  next();
+});
+
+// Validate seat labels are unique across the seat map
+eventSchema.pre('save', function(next) {
+  const labels = this.listSeats().map((seat) => seat.seatNumber);
+  if (new Set(labels).size !== labels.length) {
+    return next(new Error('Seat labels must be unique across the seat map'));
   }
   next();
 });
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Recurring event: a template plus a recurrence rule that generates linked Event occurrences
+const eventSeriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Series title is required'],
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Series organizer is required']
+    },
+    // Start of the first occurrence, later ones keep its local time of day in `timezone`
+    startsAt: {
+      type: Date,
+      required: [true, 'Series start is required']
+    },
+    // IANA timezone of the venue the recurrence rule is evaluated in (e.g. 'Africa/Cairo')
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    durationMinutes: {
+      type: Number,
+      required: [true, 'Occurrence duration is required'],
+      min: [1, 'Occurrence duration must be at least 1 minute']
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly'],
+        required: [true, 'Recurrence frequency is required']
+      },
+      interval: {
+        type: Number,
+        default: 1,
+        min: [1, 'Recurrence interval must be at least 1']
+      },
+      byWeekday: [
+        {
+          type: Number,
+          min: 0,
+          max: 6
+        }
+      ],
+      until: Date,
+      count: {
+        type: Number,
+        min: [1, 'Recurrence count must be at least 1']
+      },
+      exclusions: [Date]
+    },
+    // Event fields every occurrence starts from: description, category, venue, pricing, capacity, ...
+    template: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Series template is required']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+eventSeriesSchema.index({ organizer: 1, createdAt: -1 });
+
+const EventSeries = mongoose.model('EventSeries', eventSeriesSchema);
+module.exports = EventSeries;
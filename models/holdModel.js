@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const holdSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Hold must belong to an event']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Hold must belong to a user']
+    },
+    ticketType: {
+      typeId: mongoose.Schema.Types.ObjectId,
+      name: String
+    },
+    seats: [{
+      type: String,
+      trim: true
+    }],
+    quantity: {
+      type: Number,
+      required: [true, 'Hold quantity is required'],
+      min: [1, 'Hold must cover at least 1 seat']
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Hold expiry is required']
+    },
+    status: {
+      type: String,
+      enum: ['active', 'converted', 'released', 'expired'],
+      default: 'active'
+    },
+    convertedAt: Date,
+    releasedAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+holdSchema.index({ event: 1, status: 1, expiresAt: 1 });
+holdSchema.index({ status: 1, expiresAt: 1 });
+holdSchema.index({ user: 1, status: 1 });
+
+// Whether the hold still blocks its seats
+holdSchema.virtual('isActive').get(function() {
+  return this.status === 'active' && this.expiresAt > new Date();
+});
+
+const Hold = mongoose.model('Hold', holdSchema);
+module.exports = Hold;
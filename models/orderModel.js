@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      unique: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Order must belong to a user']
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Order must belong to an event']
+    },
+    tickets: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket'
+    }],
+    quantity: {
+      type: Number,
+      required: [true, 'Order quantity is required'],
+      min: [1, 'Order must contain at least 1 ticket']
+    },
+    pricing: {
+      subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      discount: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      total: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      promoCode: String,
+      currency: {
+        type: String,
+        default: 'EGP'
+      }
+    },
+    payment: {
+      paymentMethod: {
+        type: String,
+        enum: ['cash', 'card', 'online', 'bank_transfer'],
+        required: true
+      },
+      provider: String,
+      transactionId: String,
+      paymentStatus: {
+        type: String,
+        enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
+        default: 'pending'
+      },
+      paidAt: Date,
+      amountRefunded: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'cancelled'],
+      default: 'pending'
+    },
+    metadata: {
+      source: {
+        type: String,
+        enum: ['web', 'mobile', 'admin'],
+        default: 'web'
+      },
+      userAgent: String,
+      ipAddress: String
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ event: 1 });
+
+// Generate unique order number before save
+orderSchema.pre('save', function(next) {
+  if (this.isNew && !this.orderNumber) {
+    // Generate format: ORD-YYYYMMDD-XXXXXX
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const random = Math.floor(Math.random() * 999999).toString().padStart(6, '0');
+    this.orderNumber = `ORD-${date}-${random}`;
+  }
+  next();
+});
+
+const Order = mongoose.model('Order', orderSchema);
+module.exports = Order;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, 'Payment event provider is required']
+    },
+    eventId: {
+      type: String,
+      required: [true, 'Payment event id is required']
+    },
+    type: {
+      type: String,
+      required: [true, 'Payment event type is required']
+    },
+    paymentId: String,
+    // Payment status the event reports (empty for events we don't act on)
+    paymentStatus: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'refunded']
+    },
+    occurredAt: Date,
+    payload: mongoose.Schema.Types.Mixed,
+    processing: {
+      status: {
+        type: String,
+        enum: ['received', 'processed', 'ignored', 'failed'],
+        default: 'received'
+      },
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      result: String,
+      error: String,
+      processedAt: Date
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+// A provider event is only ever stored once
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ paymentId: 1, occurredAt: 1 });
+paymentEventSchema.index({ 'processing.status': 1, createdAt: -1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+module.exports = PaymentEvent;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Promo code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      maxlength: [30, 'Promo code cannot exceed 30 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    // Discount applied to each ticket of a booking
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: [true, 'Discount type is required']
+    },
+    discountValue: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [0, 'Discount cannot be negative']
+    },
+    // Usage caps (empty means unlimited)
+    maxUses: {
+      type: Number,
+      min: 1
+    },
+    maxUsesPerUser: {
+      type: Number,
+      min: 1
+    },
+    usedCount: {
+      type: Number,
+      default: 0
+    },
+    validFrom: Date,
+    validUntil: Date,
+    // Scope (empty means every event)
+    events: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    }],
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    minQuantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Validate percentage discounts
+promoCodeSchema.pre('save', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    return next(new Error('Valid until must be after valid from'));
+  }
+  next();
+});
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+module.exports = PromoCode;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      required: [true, 'Redemption must belong to a promo code']
+    },
+    code: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Redemption must belong to a user']
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Redemption must belong to an event']
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    tickets: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket'
+    }],
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    // Totals for the whole booking
+    discount: {
+      type: Number,
+      default: 0
+    },
+    revenue: {
+      type: Number,
+      default: 0
+    },
+    currency: String
+  },
+  { timestamps: true }
+);
+
+// Indexes for better performance
+promoRedemptionSchema.index({ promoCode: 1, user: 1 });
+promoRedemptionSchema.index({ event: 1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+module.exports = PromoRedemption;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const resaleListingSchema = new mongoose.Schema(
+  {
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: [true, 'Listing must belong to a ticket']
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Listing must belong to an event']
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Listing must have a seller']
+    },
+    ticketType: {
+      typeId: mongoose.Schema.Types.ObjectId,
+      name: String
+    },
+    seatInfo: {
+      section: String,
+      row: String,
+      seatNumber: String
+    },
+    faceValue: {
+      type: Number,
+      required: [true, 'Face value is required'],
+      min: 0
+    },
+    price: {
+      type: Number,
+      required: [true, 'Resale price is required'],
+      min: [0.01, 'Resale price must be greater than 0']
+    },
+    currency: {
+      type: String,
+      default: 'EGP'
+    },
+    // active -> reserved (buyer is paying) -> sold, or back to active if the payment fails
+    status: {
+      type: String,
+      enum: ['active', 'reserved', 'sold', 'cancelled'],
+      default: 'active'
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    newTicket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket'
+    },
+    reservedAt: Date,
+    soldAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+resaleListingSchema.index({ event: 1, status: 1, price: 1 });
+resaleListingSchema.index({ seller: 1, createdAt: -1 });
+resaleListingSchema.index({ ticket: 1, status: 1 });
+
+const ResaleListing = mongoose.model('ResaleListing', resaleListingSchema);
+module.exports = ResaleListing;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One scan at a gate, kept for accepted and rejected scans alike
+const scanEventSchema = new mongoose.Schema(
+  {
+    // Missing when the scanned code could not be matched to a ticket
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket'
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    gate: {
+      type: String,
+      default: 'Main Gate'
+    },
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Scan must have a staff member']
+    },
+    direction: {
+      type: String,
+      enum: ['in', 'out'],
+      default: 'in'
+    },
+    result: {
+      type: String,
+      enum: ['accepted', 'rejected'],
+      required: [true, 'Scan result is required']
+    },
+    reason: String,
+    // Live scans are checked right away, offline ones arrive through the gate sync
+    source: {
+      type: String,
+      enum: ['live', 'offline'],
+      default: 'live'
+    },
+    scannedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+scanEventSchema.index({ ticket: 1, scannedAt: 1 });
+scanEventSchema.index({ event: 1, scannedAt: -1 });
+
+const ScanEvent = mongoose.model('ScanEvent', scanEventSchema);
+module.exports = ScanEvent;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// One slot of an event agenda (talk, workshop, panel, ...)
+const sessionSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Session must belong to an event']
+    },
+    title: {
+      type: String,
+      required: [true, 'Session title is required'],
+      trim: true,
+      maxlength: [150, 'Session title cannot exceed 150 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Session description cannot exceed 2000 characters']
+    },
+    format: {
+      type: String,
+      enum: ['talk', 'keynote', 'workshop', 'panel', 'break', 'other'],
+      default: 'talk'
+    },
+    track: {
+      type: String,
+      trim: true,
+      default: 'Main'
+    },
+    room: {
+      type: String,
+      trim: true
+    },
+    startsAt: {
+      type: Date,
+      required: [true, 'Session start is required']
+    },
+    endsAt: {
+      type: Date,
+      required: [true, 'Session end is required']
+    },
+    speakers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Speaker'
+      }
+    ],
+    // Seats in the room, sessions without a capacity take any ticket holder
+    capacity: {
+      type: Number,
+      min: [1, 'Session capacity must be at least 1']
+    },
+    registeredCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    checkedInCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+sessionSchema.index({ event: 1, startsAt: 1 });
+sessionSchema.index({ event: 1, room: 1, startsAt: 1 });
+sessionSchema.index({ speakers: 1 });
+
+sessionSchema.virtual('seatsLeft').get(function () {
+  return this.capacity ? Math.max(this.capacity - this.registeredCount, 0) : null;
+});
+
+sessionSchema.pre('save', function (next) {
+  if (this.endsAt <= this.startsAt) {
+    return next(new Error('Session end must be after its start'));
+  }
+  next();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
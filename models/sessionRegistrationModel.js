@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A ticket holder's seat in one session, registrations follow the ticket when it changes hands
+const sessionRegistrationSchema = new mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      required: [true, 'Registration must belong to a session']
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Registration must belong to an event']
+    },
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: [true, 'Registration must belong to a ticket']
+    },
+    status: {
+      type: String,
+      enum: ['registered', 'cancelled'],
+      default: 'registered'
+    },
+    checkIn: {
+      isCheckedIn: {
+        type: Boolean,
+        default: false
+      },
+      checkedInAt: Date,
+      checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    cancelledAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+sessionRegistrationSchema.index({ session: 1, ticket: 1 }, { unique: true });
+sessionRegistrationSchema.index({ ticket: 1, status: 1 });
+sessionRegistrationSchema.index({ session: 1, status: 1 });
+
+const SessionRegistration = mongoose.model('SessionRegistration', sessionRegistrationSchema);
+module.exports = SessionRegistration;
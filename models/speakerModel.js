@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const speakerSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Speaker must belong to an event']
+    },
+    name: {
+      type: String,
+      required: [true, 'Speaker name is required'],
+      trim: true,
+      maxlength: [100, 'Speaker name cannot exceed 100 characters']
+    },
+    // Job title shown under the name on the agenda
+    headline: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Speaker headline cannot exceed 100 characters']
+    },
+    company: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Company cannot exceed 100 characters']
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Speaker bio cannot exceed 2000 characters']
+    },
+    photo: String,
+    socialLinks: {
+      website: String,
+      twitter: String,
+      linkedin: String
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+speakerSchema.index({ event: 1, name: 1 });
+
+const Speaker = mongoose.model('Speaker', speakerSchema);
+module.exports = Speaker;
@@ -1,5 +1,41 @@
 const mongoose = require('mongoose');
 
+// A refund issued for a ticket, possibly only part of its price
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: [true, 'Refund amount is required'],
+      min: 0
+    },
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending'
+    },
+    providerRefundId: String,
+    // Set when an admin refunded a different amount than the event policy allows
+    override: {
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: String,
+      policyPercentage: Number
+    },
+    // Why the refund was issued when the attendee did not ask for it (e.g. the event was cancelled)
+    reason: String,
+    error: String,
+    processedAt: Date
+  },
+  { timestamps: true }
+);
+
 const ticketSchema = new mongoose.Schema(
   {
     ticketNumber: {
@@ -16,6 +52,15 @@ const ticketSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'Ticket must belong to a user']
     },
+    // Ticket this one replaced when it was bought on the resale marketplace
+    resaleOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket'
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
     attendeeInfo: {
       name: {
         type: String,
@@ -41,6 +86,10 @@ const ticketSchema = new mongoose.Schema(
         enum: ['male', 'female', 'other']
       }
     },
+    ticketType: {
+      typeId: mongoose.Schema.Types.ObjectId,
+      name: String
+    },
     seatInfo: {
       seatNumber: String,
       section: String,
@@ -62,6 +111,7 @@ const ticketSchema = new mongoose.Schema(
         default: 0,
         min: 0
       },
+      promoCode: String,
       currency: {
         type: String,
         default: 'EGP'
@@ -70,25 +120,48 @@ const ticketSchema = new mongoose.Schema(
     payment: {
       paymentMethod: {
         type: String,
-        enum: ['cash', 'card', 'online', 'bank_transfer'],
+        enum: ['cash', 'card', 'online', 'bank_transfer', 'complimentary'],
         required: true
       },
+      provider: String,
       transactionId: String,
       paymentStatus: {
         type: String,
-        enum: ['pending', 'completed', 'failed', 'refunded'],
+        enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
         default: 'pending'
       },
       paidAt: Date,
-      refundedAt: Date
+      amountRefunded: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      refunds: [refundSchema],
+      refundedAt: Date,
+      // Set when an admin overrode the refund policy on cancelling, even if nothing was refunded
+      refundOverride: {
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        reason: String,
+        percentage: Number,
+        policyPercentage: Number,
+        at: Date
+      }
     },
     qrCode: {
       data: String,
-      image: String 
+      image: String,
+      // Bumped whenever the QR code is reissued, older versions are refused at check-in
+      version: {
+        type: Number,
+        default: 1
+      }
     },
     status: {
       type: String,
-      enum: ['active', 'used', 'cancelled', 'expired'],
+      enum: ['pending', 'active', 'used', 'cancelled', 'expired', 'resold'],
       default: 'active'
     },
     checkIn: {
@@ -101,7 +174,42 @@ const ticketSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
-      gate: String
+      gate: String,
+      // Whether the attendee is in the venue right now, flips on every re-entry / check-out
+      isInside: {
+        type: Boolean,
+        default: false
+      },
+      lastScanAt: Date
+    },
+    // Set once a wallet pass was issued, holders get the new pass when what it shows changes
+    wallet: {
+      fingerprint: String,
+      issuedAt: Date,
+      updatedAt: Date
+    },
+    // Set on complimentary tickets the organizer handed out for free
+    comp: {
+      category: {
+        type: String,
+        enum: ['guest', 'press', 'sponsor', 'staff', 'other']
+      },
+      issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      note: String
+    },
+    // Set when the event moved: the holder keeps the ticket for the new date or asks for a refund before `respondBy`
+    reschedule: {
+      status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'refunded']
+      },
+      respondBy: Date,
+      respondedAt: Date,
+      // Confirmed because the holder did not answer in time
+      autoConfirmed: Boolean
     },
     purchaseDate: {
       type: Date,
@@ -112,7 +220,7 @@ const ticketSchema = new mongoose.Schema(
     metadata: {
       source: {
         type: String,
-        enum: ['web', 'mobile', 'admin'],
+        enum: ['web', 'mobile', 'admin', 'comp'],
         default: 'web'
       },
       userAgent: String,
@@ -128,10 +236,24 @@ const ticketSchema = new mongoose.Schema(
 
 // Indexes for better performance
 ticketSchema.index({ event: 1, user: 1 });
+ticketSchema.index({ order: 1 });
+ticketSchema.index({ resaleOf: 1 });
+ticketSchema.index({ event: 1, 'ticketType.typeId': 1 });
 ticketSchema.index({ ticketNumber: 1 });
 ticketSchema.index({ 'qrCode.data': 1 });
 ticketSchema.index({ status: 1 });
+ticketSchema.index({ 'payment.transactionId': 1 });
 ticketSchema.index({ 'checkIn.isCheckedIn': 1 });
+ticketSchema.index({ event: 1, 'metadata.source': 1 });
+ticketSchema.index({ 'reschedule.status': 1, 'reschedule.respondBy': 1 });
+// A seat can only be held by one active ticket per event
+ticketSchema.index(
+  { event: 1, 'seatInfo.seatNumber': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'active', 'seatInfo.seatNumber': { $type: 'string' } }
+  }
+);
 
 // Generate unique ticket number before save
 ticketSchema.pre('save', async function(next) {
@@ -142,7 +264,9 @@ ticketSchema.pre('save', async function(next) {
     this.ticketNumber = `EVT-${date}-${random}`;
     
     // Check if ticket number already exists
-    const existingTicket = await mongoose.model('Ticket').findOne({ ticketNumber: this.ticketNumber });
+    const existingTicket = await mongoose.model('Ticket')
+      .findOne({ ticketNumber: this.ticketNumber })
+      .session(this.$session());
     if (existingTicket) {
       // Generate new random number if duplicate
       const newRandom = Math.floor(Math.random() * 99999).toString().padStart(5, '0');
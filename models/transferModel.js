@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const transferSchema = new mongoose.Schema(
+  {
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: [true, 'Transfer must belong to a ticket']
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Transfer must belong to an event']
+    },
+    fromUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Transfer must have a sender']
+    },
+    toEmail: {
+      type: String,
+      required: [true, 'Recipient email is required'],
+      lowercase: true,
+      trim: true
+    },
+    // Set once the recipient accepts
+    toUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Message cannot exceed 300 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'cancelled'],
+      default: 'pending'
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Transfer expiry is required']
+    },
+    respondedAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+transferSchema.index({ toEmail: 1, status: 1 });
+transferSchema.index({ fromUser: 1, createdAt: -1 });
+transferSchema.index({ ticket: 1, status: 1 });
+
+// Whether the recipient can still accept the transfer
+transferSchema.virtual('isOpen').get(function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+});
+
+const Transfer = mongoose.model('Transfer', transferSchema);
+module.exports = Transfer;
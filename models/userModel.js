@@ -13,7 +13,7 @@ const userSchema = new mongoose.Schema(
     passwordResetCode: String,
     passwordResetExpires: Date,
     passwordResetVerified: Boolean,
-    role: { type: String, enum: ['user', 'manager', 'admin'], default: 'user' },
+    role: { type: String, enum: ['user', 'staff', 'manager', 'admin'], default: 'user' },
     active: { type: Boolean, default: true },
     addresses: [{ id: { type: mongoose.Schema.Types.ObjectId }, alias: String, details: String, phone: String, city: String, postalCode: String}],
   },
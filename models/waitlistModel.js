@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const waitlistSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: [true, 'Waitlist entry must belong to an event']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Waitlist entry must belong to a user']
+    },
+    ticketType: {
+      typeId: mongoose.Schema.Types.ObjectId,
+      name: String
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'Quantity must be at least 1'],
+      max: [4, 'Quantity cannot exceed 4']
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled', 'removed'],
+      default: 'waiting'
+    },
+    offer: {
+      hold: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hold'
+      },
+      offeredAt: Date,
+      expiresAt: Date
+    },
+    claimedAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better performance
+waitlistSchema.index({ event: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ event: 1, user: 1 });
+waitlistSchema.index({ 'offer.hold': 1 });
+
+const Waitlist = mongoose.model('Waitlist', waitlistSchema);
+module.exports = Waitlist;
@@ -4,6 +4,7 @@ const {
   getSalesAnalytics,
   getAudienceDemographics,
   getEventPerformance,
+  getResaleAnalytics,
   exportAnalytics
 } = require('../services/analyticsService');
 
@@ -19,6 +20,7 @@ router.get('/dashboard', getDashboardStats);
 router.get('/sales', getSalesAnalytics);
 router.get('/demographics', getAudienceDemographics);
 router.get('/events/performance', getEventPerformance);
+router.get('/resale', getResaleAnalytics);
 router.get('/export', exportAnalytics);
 
 module.exports = router;
\ No newline at end of file
@@ -3,38 +3,62 @@ const {
   getEventValidator,
   createEventValidator,
   updateEventValidator,
-  deleteEventValidator
+  deleteEventValidator,
+  cancelEventValidator,
+  rescheduleEventValidator,
+  changeEventStatusValidator,
+  reviewPendingChangesValidator
 } = require('../utils/validators/eventValidator');
 
 const {
   getEvents,
   getEvent,
+  getEventSeats,
   createEvent,
   updateEvent,
   deleteEvent,
   getMyEvents,
   getPopularEvents
 } = require('../services/eventService');
+const { eventAgendaValidator } = require('../utils/validators/sessionValidator');
+const { getEventAgenda } = require('../services/sessionService');
+const { cancelEvent } = require('../services/eventCancellationService');
+const { rescheduleEvent } = require('../services/rescheduleService');
+const { changeEventStatus, reviewPendingChanges } = require('../services/eventWorkflowService');
 
 const authService = require('../services/authService');
 
 const ticketRoute = require('./ticketRoute');
 const reviewRoute = require('./reviewRoute');
+const holdRoute = require('./holdRoute');
+const waitlistRoute = require('./waitlistRoute');
+const sessionRoute = require('./sessionRoute');
+const speakerRoute = require('./speakerRoute');
 
 const router = express.Router();
 
 router.use('/:eventId/tickets', ticketRoute);
 router.use('/:eventId/reviews', reviewRoute);
+router.use('/:eventId/holds', holdRoute);
+router.use('/:eventId/waitlist', waitlistRoute);
+router.use('/:eventId/sessions', sessionRoute);
+router.use('/:eventId/speakers', speakerRoute);
 
 router.get('/', authService.protect, getEvents);
 router.get('/popular', getPopularEvents);
+router.get('/:id/agenda', eventAgendaValidator, getEventAgenda);
 
 router.use(authService.protect);
 router.get('/organizer/my-events', authService.allowedTo('admin', 'manager'), getMyEvents);
 router.get('/:id', getEventValidator, getEvent);
+router.get('/:id/seats', getEventValidator, getEventSeats);
 router.use(authService.allowedTo('admin', 'manager'));
 router.post('/', createEventValidator, createEvent);
 router.put('/:id', updateEventValidator, updateEvent);
+router.patch('/:id/status', changeEventStatusValidator, changeEventStatus);
+router.patch('/:id/pending-changes', authService.allowedTo('admin'), reviewPendingChangesValidator, reviewPendingChanges);
 router.delete('/:id', deleteEventValidator, deleteEvent);
+router.post('/:id/cancel', cancelEventValidator, cancelEvent);
+router.post('/:id/reschedule', rescheduleEventValidator, rescheduleEvent);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  createSeriesValidator,
+  getSeriesValidator,
+  updateSeriesValidator
+} = require('../utils/validators/eventSeriesValidator');
+
+const {
+  createSeries,
+  getSeriesList,
+  getSeries,
+  updateSeries
+} = require('../services/eventSeriesService');
+
+const authService = require('../services/authService');
+
+const router = express.Router();
+
+router.use(authService.protect, authService.allowedTo('admin', 'manager'));
+
+router.get('/', getSeriesList);
+router.post('/', createSeriesValidator, createSeries);
+router.get('/:id', getSeriesValidator, getSeries);
+router.put('/:id', updateSeriesValidator, updateSeries);
+
+module.exports = router;
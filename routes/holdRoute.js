@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  createHoldValidator,
+  deleteHoldValidator
+} = require('../utils/validators/holdValidator');
+
+const {
+  createHold,
+  getMyHolds,
+  deleteHold
+} = require('../services/holdService');
+
+const authService = require('../services/authService');
+
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authService.protect);
+
+router.route('/').get(getMyHolds).post(createHoldValidator, createHold);
+router.delete('/:id', deleteHoldValidator, deleteHold);
+
+module.exports = router;
@@ -6,6 +6,14 @@ const ticketRoute = require('./ticketRoute');
 const analyticsRoute = require('./analyticsRoute');
 const eventRoute = require('./eventRoute');
 const reviewRoute = require('./reviewRoute');
+const orderRoute = require('./orderRoute');
+const promoCodeRoute = require('./promoCodeRoute');
+const paymentRoute = require('./paymentRoute');
+const transferRoute = require('./transferRoute');
+const resaleRoute = require('./resaleRoute');
+const eventSeriesRoute = require('./eventSeriesRoute');
+const sessionRoute = require('./sessionRoute');
+const speakerRoute = require('./speakerRoute');
 
 const mountRoutes = (app) => {
   app.use('/api/v1/users', userRoute);
@@ -16,6 +24,14 @@ const mountRoutes = (app) => {
   app.use('/api/v1/analytics', analyticsRoute);
   app.use('/api/v1/events', eventRoute);
   app.use('/api/v1/reviews', reviewRoute);
+  app.use('/api/v1/orders', orderRoute);
+  app.use('/api/v1/promo-codes', promoCodeRoute);
+  app.use('/api/v1/payments', paymentRoute);
+  app.use('/api/v1/transfers', transferRoute);
+  app.use('/api/v1/resale', resaleRoute);
+  app.use('/api/v1/event-series', eventSeriesRoute);
+  app.use('/api/v1/sessions', sessionRoute);
+  app.use('/api/v1/speakers', speakerRoute);
 };
 
 module.exports = mountRoutes;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getOrderValidator,
+  createOrderValidator
+} = require('../utils/validators/orderValidator');
+
+const {
+  createOrder,
+  getMyOrders,
+  getOrder
+} = require('../services/orderService');
+
+const authService = require('../services/authService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authService.protect);
+
+router.post('/', createOrderValidator, createOrder);
+router.get('/my-orders', getMyOrders);
+router.get('/:id', getOrderValidator, getOrder);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  syncPaymentValidator,
+  getPaymentEventValidator,
+  reprocessPaymentEventValidator
+} = require('../utils/validators/paymentValidator');
+
+const {
+  syncPayment,
+  handlePaymentWebhook,
+  getPaymentEvents,
+  getPaymentEvent,
+  reprocessPaymentEvent
+} = require('../services/paymentService');
+
+const authService = require('../services/authService');
+
+const router = express.Router();
+
+// Provider webhooks are signed over the raw request body
+router.post('/webhook', express.raw({ type: 'application/json' }), handlePaymentWebhook);
+
+// All routes below require authentication
+router.use(authService.protect);
+
+router.post('/:transactionId/sync', syncPaymentValidator, syncPayment);
+
+// Admin only routes
+router.get('/events', authService.allowedTo('admin'), getPaymentEvents);
+router.get('/events/:id', authService.allowedTo('admin'), getPaymentEventValidator, getPaymentEvent);
+router.post(
+  '/events/:id/reprocess',
+  authService.allowedTo('admin'),
+  reprocessPaymentEventValidator,
+  reprocessPaymentEvent
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getPromoCodeValidator,
+  createPromoCodeValidator,
+  updatePromoCodeValidator,
+  deletePromoCodeValidator
+} = require('../utils/validators/promoCodeValidator');
+
+const {
+  getPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getPromoCodeReport,
+  setCreatedBy,
+  createFilterObj,
+  checkPromoCodeOwner
+} = require('../services/promoCodeService');
+
+const authService = require('../services/authService');
+
+const router = express.Router();
+
+// All routes require admin/manager access
+router.use(authService.protect);
+router.use(authService.allowedTo('admin', 'manager'));
+
+router.route('/').get(createFilterObj, getPromoCodes).post(setCreatedBy, createPromoCodeValidator, createPromoCode);
+router.get('/:id/report', getPromoCodeValidator, checkPromoCodeOwner, getPromoCodeReport);
+router.route('/:id')
+  .get(getPromoCodeValidator, checkPromoCodeOwner, getPromoCode)
+  .put(updatePromoCodeValidator, checkPromoCodeOwner, updatePromoCode)
+  .delete(deletePromoCodeValidator, checkPromoCodeOwner, deletePromoCode);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getListingsValidator,
+  purchaseListingValidator,
+  cancelListingValidator
+} = require('../utils/validators/resaleValidator');
+
+const {
+  getListings,
+  getMyListings,
+  purchaseListing,
+  cancelListing
+} = require('../services/resaleService');
+
+const authService = require('../services/authService');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getListingsValidator, getListings);
+
+// Protected routes
+router.use(authService.protect);
+
+router.get('/my-listings', getMyListings);
+router.post('/:id/purchase', purchaseListingValidator, purchaseListing);
+router.delete('/:id', cancelListingValidator, cancelListing);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const {
+  getSessionValidator,
+  createSessionValidator,
+  updateSessionValidator,
+  deleteSessionValidator,
+  registerForSessionValidator,
+  cancelSessionRegistrationValidator,
+  checkInSessionValidator
+} = require('../utils/validators/sessionValidator');
+
+const {
+  getSessions,
+  getSession,
+  createSession,
+  updateSession,
+  deleteSession,
+  registerForSession,
+  cancelSessionRegistration,
+  getMySessions,
+  getSessionRegistrations,
+  checkInSession,
+  setEventIdToBody,
+  createFilterObj
+} = require('../services/sessionService');
+
+const authService = require('../services/authService');
+
+const router = express.Router({ mergeParams: true });
+
+// Public routes
+router.get('/', createFilterObj, getSessions);
+router.get('/me', authService.protect, getMySessions);
+router.get('/:id', getSessionValidator, getSession);
+
+// User routes
+router.use(authService.protect);
+router.post('/:id/registrations', registerForSessionValidator, registerForSession);
+router.delete('/:id/registrations/:ticketId', cancelSessionRegistrationValidator, cancelSessionRegistration);
+router.post('/:id/checkin', authService.allowedTo('admin', 'manager', 'staff'), checkInSessionValidator, checkInSession);
+
+// Admin/Manager routes
+router.use(authService.allowedTo('admin', 'manager'));
+router.get('/:id/registrations', getSessionValidator, getSessionRegistrations);
+router.post('/', setEventIdToBody, createSessionValidator, createSession);
+router.put('/:id', updateSessionValidator, updateSession);
+router.delete('/:id', deleteSessionValidator, deleteSession);
+
+module.exports = router;
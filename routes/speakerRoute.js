@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  getSpeakerValidator,
+  createSpeakerValidator,
+  updateSpeakerValidator,
+  deleteSpeakerValidator
+} = require('../utils/validators/speakerValidator');
+
+const {
+  getSpeakers,
+  getSpeaker,
+  createSpeaker,
+  updateSpeaker,
+  deleteSpeaker,
+  setEventIdToBody,
+  createFilterObj
+} = require('../services/speakerService');
+
+const authService = require('../services/authService');
+
+const router = express.Router({ mergeParams: true });
+
+// Public routes
+router.get('/', createFilterObj, getSpeakers);
+router.get('/:id', getSpeakerValidator, getSpeaker);
+
+// Admin/Manager routes
+router.use(authService.protect, authService.allowedTo('admin', 'manager'));
+router.post('/', setEventIdToBody, createSpeakerValidator, createSpeaker);
+router.put('/:id', updateSpeakerValidator, updateSpeaker);
+router.delete('/:id', deleteSpeakerValidator, deleteSpeaker);
+
+module.exports = router;
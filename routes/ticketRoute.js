@@ -2,8 +2,17 @@ const express = require('express');
 const {
   getTicketValidator,
   bookTicketValidator,
-  checkInTicketValidator
+  cancelTicketValidator,
+  checkInTicketValidator,
+  gateManifestValidator,
+  checkInStreamValidator,
+  eventBadgesValidator,
+  issueCompTicketsValidator,
+  syncCheckInsValidator,
+  rescheduleResponseValidator
 } = require('../utils/validators/ticketValidator');
+const { createTransferValidator } = require('../utils/validators/transferValidator');
+const { createListingValidator } = require('../utils/validators/resaleValidator');
 
 const {
   getAllTickets,
@@ -11,9 +20,21 @@ const {
   getTicket,
   bookTicket,
   cancelTicket,
-  checkInTicket,
   getEventTickets
 } = require('../services/ticketService');
+const {
+  checkInTicket,
+  syncCheckIns,
+  getGateManifest,
+  getTicketScans,
+  streamCheckIns
+} = require('../services/checkInService');
+const { getTicketPdf, getEventBadges } = require('../services/ticketPdfService');
+const { issueCompTickets } = require('../services/compTicketService');
+const { getApplePass, getGooglePass } = require('../services/walletPassService');
+const { createTransfer } = require('../services/transferService');
+const { createListing } = require('../services/resaleService');
+const { respondToReschedule } = require('../services/rescheduleService');
 
 const authService = require('../services/authService');
 
@@ -25,14 +46,26 @@ router.use(authService.protect);
 // User routes
 router.get('/my-tickets', getMyTickets);
 router.post('/book', bookTicketValidator, bookTicket);
-router.patch('/:id/cancel', cancelTicket);
+router.patch('/:id/cancel', cancelTicketValidator, cancelTicket);
+router.post('/:id/transfer', createTransferValidator, createTransfer);
+router.post('/:id/resale', createListingValidator, createListing);
+router.post('/:id/reschedule', rescheduleResponseValidator, respondToReschedule);
 
 // Get specific ticket
 router.get('/:id', getTicketValidator, getTicket);
+router.get('/:id/pdf', getTicketValidator, getTicketPdf);
+router.get('/:id/wallet/apple', getTicketValidator, getApplePass);
+router.get('/:id/wallet/google', getTicketValidator, getGooglePass);
 
-// Admin/Manager routes
+// Admin/Manager routes (gate staff can scan)
 router.get('/', authService.allowedTo('admin', 'manager'), getAllTickets);
+router.get('/:id/scans', authService.allowedTo('admin', 'manager'), getTicketValidator, getTicketScans);
 router.get('/event/:eventId', authService.allowedTo('admin', 'manager'), getEventTickets);
-router.post('/checkin', authService.allowedTo('admin', 'manager'), checkInTicketValidator, checkInTicket);
+router.post('/event/:eventId/comp', authService.allowedTo('admin', 'manager'), issueCompTicketsValidator, issueCompTickets);
+router.get('/event/:eventId/badges', authService.allowedTo('admin', 'manager'), eventBadgesValidator, getEventBadges);
+router.get('/event/:eventId/manifest', authService.allowedTo('admin', 'manager', 'staff'), gateManifestValidator, getGateManifest);
+router.get('/event/:eventId/checkin/stream', authService.allowedTo('admin', 'manager'), checkInStreamValidator, streamCheckIns);
+router.post('/checkin', authService.allowedTo('admin', 'manager', 'staff'), checkInTicketValidator, checkInTicket);
+router.post('/checkin/sync', authService.allowedTo('admin', 'manager', 'staff'), syncCheckInsValidator, syncCheckIns);
 
 module.exports = router;
\ No newline at end of file
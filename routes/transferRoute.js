@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  acceptTransferValidator,
+  transferIdValidator
+} = require('../utils/validators/transferValidator');
+
+const {
+  getIncomingTransfers,
+  getOutgoingTransfers,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer
+} = require('../services/transferService');
+
+const authService = require('../services/authService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authService.protect);
+
+router.get('/incoming', getIncomingTransfers);
+router.get('/outgoing', getOutgoingTransfers);
+router.post('/:id/accept', acceptTransferValidator, acceptTransfer);
+router.post('/:id/decline', transferIdValidator, declineTransfer);
+router.delete('/:id', transferIdValidator, cancelTransfer);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  joinWaitlistValidator,
+  waitlistEventValidator,
+  removeWaitlistEntryValidator
+} = require('../utils/validators/waitlistValidator');
+
+const {
+  joinWaitlist,
+  getMyWaitlistEntry,
+  leaveWaitlist,
+  getEventWaitlist,
+  removeWaitlistEntry,
+  sendWaitlistOffers
+} = require('../services/waitlistService');
+
+const authService = require('../services/authService');
+
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authService.protect);
+
+// User routes
+router.post('/', joinWaitlistValidator, joinWaitlist);
+router.route('/me')
+  .get(waitlistEventValidator, getMyWaitlistEntry)
+  .delete(waitlistEventValidator, leaveWaitlist);
+
+// Admin/Manager routes
+router.use(authService.allowedTo('admin', 'manager'));
+router.get('/', waitlistEventValidator, getEventWaitlist);
+router.post('/offers', waitlistEventValidator, sendWaitlistOffers);
+router.delete('/:id', removeWaitlistEntryValidator, removeWaitlistEntry);
+
+module.exports = router;
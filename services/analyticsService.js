@@ -6,6 +6,10 @@ const Event = require('../models/eventModel');
 const Ticket = require('../models/ticketModel');
 const User = require('../models/userModel');
 const Category = require('../models/categoryModel');
+const ResaleListing = require('../models/resaleListingModel');
+
+// Paid tickets sold by the organizer (resale purchases and comp tickets are reported separately)
+const PRIMARY_SALE = { 'payment.paymentStatus': 'completed', resaleOf: null, 'metadata.source': { $ne: 'comp' } };
 
 // Get dashboard overview stats
 // GET /api/v1/analytics/dashboard
@@ -23,7 +27,7 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
   });
   const totalUsers = await User.countDocuments({ role: 'user' });
   const totalRevenue = await Ticket.aggregate([
-    { $match: { 'payment.paymentStatus': 'completed' } },
+    { $match: PRIMARY_SALE },
     { $group: { _id: null, total: { $sum: '$pricing.finalPrice' } } }
   ]);
   
@@ -33,13 +37,13 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
   });
   const thisMonthTickets = await Ticket.countDocuments({
     purchaseDate: { $gte: thisMonth },
-    'payment.paymentStatus': 'completed'
+    ...PRIMARY_SALE
   });
   const thisMonthRevenue = await Ticket.aggregate([
     { 
       $match: { 
         purchaseDate: { $gte: thisMonth },
-        'payment.paymentStatus': 'completed'
+        ...PRIMARY_SALE
       }
     },
     { $group: { _id: null, total: { $sum: '$pricing.finalPrice' } } }
@@ -51,13 +55,13 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
   });
   const lastMonthTickets = await Ticket.countDocuments({
     purchaseDate: { $gte: lastMonth, $lt: thisMonth },
-    'payment.paymentStatus': 'completed'
+    ...PRIMARY_SALE
   });
   const lastMonthRevenue = await Ticket.aggregate([
     { 
       $match: { 
         purchaseDate: { $gte: lastMonth, $lt: thisMonth },
-        'payment.paymentStatus': 'completed'
+        ...PRIMARY_SALE
       }
     },
     { $group: { _id: null, total: { $sum: '$pricing.finalPrice' } } }
@@ -77,7 +81,7 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
         activeEvents,
         totalUsers,
         totalRevenue: totalRevenue[0]?.total || 0,
-        totalTicketsSold: await Ticket.countDocuments({ 'payment.paymentStatus': 'completed' })
+        totalTicketsSold: await Ticket.countDocuments(PRIMARY_SALE)
       },
       thisMonth: {
         events: thisMonthEvents,
@@ -124,7 +128,7 @@ exports.getSalesAnalytics = asyncHandler(async (req, res, next) => {
     {
       $match: {
         purchaseDate: { $gte: startDate },
-        'payment.paymentStatus': 'completed'
+        ...PRIMARY_SALE
       }
     },
     {
@@ -143,7 +147,7 @@ exports.getSalesAnalytics = asyncHandler(async (req, res, next) => {
     {
       $match: {
         purchaseDate: { $gte: startDate },
-        'payment.paymentStatus': 'completed'
+        ...PRIMARY_SALE
       }
     },
     {
@@ -155,12 +159,31 @@ exports.getSalesAnalytics = asyncHandler(async (req, res, next) => {
     }
   ]);
 
+  // Sales by ticket tier
+  const ticketTypes = await Ticket.aggregate([
+    {
+      $match: {
+        purchaseDate: { $gte: startDate },
+        ...PRIMARY_SALE
+      }
+    },
+    {
+      $group: {
+        _id: { $ifNull: ['$ticketType.name', 'General'] },
+        ticketsSold: { $sum: 1 },
+        revenue: { $sum: '$pricing.finalPrice' },
+        averagePrice: { $avg: '$pricing.finalPrice' }
+      }
+    },
+    { $sort: { revenue: -1 } }
+  ]);
+
   // Top selling events
   const topEvents = await Ticket.aggregate([
     {
       $match: {
         purchaseDate: { $gte: startDate },
-        'payment.paymentStatus': 'completed'
+        ...PRIMARY_SALE
       }
     },
     {
@@ -189,6 +212,24 @@ exports.getSalesAnalytics = asyncHandler(async (req, res, next) => {
       }
     }
   ]);
+
+  // Complimentary tickets handed out in the period, with the face value given away
+  const compTickets = await Ticket.aggregate([
+    {
+      $match: {
+        purchaseDate: { $gte: startDate },
+        'metadata.source': 'comp'
+      }
+    },
+    {
+      $group: {
+        _id: '$comp.category',
+        ticketsIssued: { $sum: 1 },
+        faceValue: { $sum: '$pricing.originalPrice' }
+      }
+    },
+    { $sort: { ticketsIssued: -1 } }
+  ]);
   const totalRevenue = salesData.reduce((sum, item) => sum + item.revenue, 0);
   const totalTickets = salesData.reduce((sum, item) => sum + item.ticketsSold, 0);
   res.status(200).json({
@@ -196,11 +237,14 @@ exports.getSalesAnalytics = asyncHandler(async (req, res, next) => {
     data: {
       salesTrend: salesData,
       paymentMethods,
+      ticketTypes,
       topEvents,
+      compTickets,
       summary: {
         totalTickets: salesData.reduce((sum, item) => sum + item.ticketsSold, 0),
         totalRevenue: salesData.reduce((sum, item) => sum + item.revenue, 0),
-        averageOrderValue: totalTickets ? totalRevenue / totalTickets : 0
+        averageOrderValue: totalTickets ? totalRevenue / totalTickets : 0,
+        compTickets: compTickets.reduce((sum, item) => sum + item.ticketsIssued, 0)
       }
     }
   });
@@ -211,7 +255,7 @@ exports.getSalesAnalytics = asyncHandler(async (req, res, next) => {
 // Private/Admin
 exports.getAudienceDemographics = asyncHandler(async (req, res, next) => {
   const { eventId } = req.query;
-  let matchStage = { 'payment.paymentStatus': 'completed' };
+  let matchStage = { ...PRIMARY_SALE };
   
   if (eventId) {
     matchStage.event = mongoose.Types.ObjectId(eventId);
@@ -359,16 +403,26 @@ exports.getEventPerformance = asyncHandler(async (req, res, next) => {
           {
             $facet: {
               sold: [
-                { $match: { 'payment.paymentStatus': 'completed' } },
+                { $match: PRIMARY_SALE },
                 { $count: 'count' }
               ],
               revenue: [
-                { $match: { 'payment.paymentStatus': 'completed' } },
+                { $match: PRIMARY_SALE },
                 { $group: { _id: null, total: { $sum: '$pricing.finalPrice' } } }
               ],
               checkedIn: [
                 { $match: { 'checkIn.isCheckedIn': true } },
                 { $count: 'count' }
+              ],
+              ticketTypes: [
+                { $match: PRIMARY_SALE },
+                {
+                  $group: {
+                    _id: { $ifNull: ['$ticketType.name', 'General'] },
+                    ticketsSold: { $sum: 1 },
+                    revenue: { $sum: '$pricing.finalPrice' }
+                  }
+                }
               ]
             }
           }
@@ -389,6 +443,7 @@ exports.getEventPerformance = asyncHandler(async (req, res, next) => {
         ticketsSold: { $arrayElemAt: ['$ticketStats.sold.count', 0] },
         revenue: { $arrayElemAt: ['$ticketStats.revenue.total', 0] },
         checkedInCount: { $arrayElemAt: ['$ticketStats.checkedIn.count', 0] },
+        ticketTypeSales: { $ifNull: [{ $arrayElemAt: ['$ticketStats.ticketTypes', 0] }, []] },
         averageRating: { $avg: '$reviews.rating' },
         reviewsCount: { $size: '$reviews' },
         // occupancyRate: {
@@ -424,6 +479,7 @@ exports.getEventPerformance = asyncHandler(async (req, res, next) => {
         ticketsSold: { $ifNull: ['$ticketsSold', 0] },
         revenue: { $ifNull: ['$revenue', 0] },
         checkedInCount: { $ifNull: ['$checkedInCount', 0] },
+        ticketTypeSales: 1,
         averageRating: { $ifNull: ['$averageRating', 0] },
         reviewsCount: 1,
         occupancyRate: { $ifNull: ['$occupancyRate', 0] },
@@ -450,7 +506,7 @@ exports.getEventPerformance = asyncHandler(async (req, res, next) => {
         let: { eventId: '$_id' },
         pipeline: [
           { $match: { $expr: { $eq: ['$event', '$eventId'] } } },
-          { $match: { 'payment.paymentStatus': 'completed' } }
+          { $match: PRIMARY_SALE }
         ],
         as: 'soldTickets'
       }
@@ -492,6 +548,76 @@ exports.getEventPerformance = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Get resale marketplace analytics
+// GET /api/v1/analytics/resale
+// Private/Admin
+exports.getResaleAnalytics = asyncHandler(async (req, res, next) => {
+  const { eventId, organizerId } = req.query;
+  let matchStage = {};
+
+  if (eventId) {
+    matchStage.event = new mongoose.Types.ObjectId(eventId);
+  }
+  if (organizerId) {
+    const events = await Event.find({ organizer: organizerId }).select('_id');
+    matchStage.event = { $in: events.map((event) => event._id) };
+  }
+
+  const isSold = { $eq: ['$status', 'sold'] };
+  const byEvent = await ResaleListing.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: '$event',
+        listings: { $sum: 1 },
+        activeListings: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+        ticketsResold: { $sum: { $cond: [isSold, 1, 0] } },
+        resaleVolume: { $sum: { $cond: [isSold, '$price', 0] } },
+        faceValueResold: { $sum: { $cond: [isSold, '$faceValue', 0] } }
+      }
+    },
+    {
+      $lookup: {
+        from: 'events',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'eventDetails'
+      }
+    },
+    {
+      $project: {
+        listings: 1,
+        activeListings: 1,
+        ticketsResold: 1,
+        resaleVolume: 1,
+        faceValueResold: 1,
+        eventTitle: { $arrayElemAt: ['$eventDetails.title', 0] },
+        // How far above (or below) face value tickets were resold, in percent
+        averageMarkup: {
+          $cond: [
+            { $gt: ['$faceValueResold', 0] },
+            { $subtract: [{ $multiply: [{ $divide: ['$resaleVolume', '$faceValueResold'] }, 100] }, 100] },
+            0
+          ]
+        }
+      }
+    },
+    { $sort: { resaleVolume: -1 } }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      events: byEvent,
+      summary: {
+        listings: byEvent.reduce((sum, item) => sum + item.listings, 0),
+        ticketsResold: byEvent.reduce((sum, item) => sum + item.ticketsResold, 0),
+        resaleVolume: byEvent.reduce((sum, item) => sum + item.resaleVolume, 0)
+      }
+    }
+  });
+});
+
 // Export analytics data to CSV
 // GET /api/v1/analytics/export
 // Private/Admin
@@ -510,11 +636,11 @@ exports.exportAnalytics = asyncHandler(async (req, res, next) => {
       const tickets = await Ticket.find({
         ...(Object.keys(dateFilter).length && { purchaseDate: dateFilter }),
         ...(eventId && { event: eventId }),
-        'payment.paymentStatus': 'completed'
+        ...PRIMARY_SALE
       })
         .populate('event', 'title dateTime venue')
         .populate('user', 'name email')
-        .select('ticketNumber attendeeInfo seatInfo pricing purchaseDate checkIn');
+        .select('ticketNumber attendeeInfo seatInfo ticketType pricing purchaseDate checkIn');
       
       data = tickets.map(ticket => ({
         'Ticket Number': ticket.ticketNumber,
@@ -523,6 +649,7 @@ exports.exportAnalytics = asyncHandler(async (req, res, next) => {
         'Attendee Name': ticket.attendeeInfo.name,
         'Email': ticket.attendeeInfo.email,
         'Seat': ticket.seatInfo.seatNumber,
+        'Ticket Type': ticket.ticketType?.name || 'General',
         'Price': ticket.pricing.finalPrice,
         'Purchase Date': ticket.purchaseDate.toISOString().split('T')[0],
         'Checked In': ticket.checkIn.isCheckedIn ? 'Yes' : 'No'
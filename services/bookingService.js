@@ -0,0 +1,476 @@
+// services/bookingService.js
+const mongoose = require('mongoose');
+const ApiError = require('../utils/apiError');
+const Event = require('../models/eventModel');
+const Ticket = require('../models/ticketModel');
+const Hold = require('../models/holdModel');
+const Waitlist = require('../models/waitlistModel');
+const { generateQRCode } = require('./qrCodeService');
+const { signQRToken } = require('../utils/qrToken');
+
+// Tickets (and their QR codes) stay valid for a day after the event ends
+const TICKET_GRACE_HOURS = 24;
+
+// Run booking work inside a MongoDB transaction (retried on transient errors)
+// Requires MongoDB to run as a replica set
+exports.runInTransaction = async (work) => {
+  try {
+    return await mongoose.connection.transaction((session) => work(session));
+  } catch (error) {
+    // The unique (event, seatNumber) index rejected a concurrent booking
+    if (error.code === 11000 && error.keyPattern && error.keyPattern['seatInfo.seatNumber']) {
+      throw new ApiError('This seat is already booked', 400);
+    }
+    throw error;
+  }
+};
+
+// Make sure an event can be booked for the requested quantity
+// (quantity 0 when the seats are already held for the buyer)
+exports.assertEventBookable = (event, quantity = 1) => {
+  if (!event) {
+    throw new ApiError('Event not found', 404);
+  }
+
+  if (event.status !== 'published') {
+    throw new ApiError('Event is not available for booking', 400);
+  }
+
+  if (quantity > 0 && event.capacity.availableSeats <= 0) {
+    throw new ApiError('No seats available', 400);
+  }
+
+  if (event.capacity.availableSeats < quantity) {
+    throw new ApiError(`Only ${event.capacity.availableSeats} seats available`, 400);
+  }
+
+  if (new Date() > event.dateTime.start) {
+    throw new ApiError('Cannot book tickets for past events', 400);
+  }
+};
+
+// Make sure none of the requested seats is already booked or held by someone else
+exports.assertSeatsAvailable = async (eventId, seatNumbers, session, ownHoldId) => {
+  const seats = seatNumbers.filter(Boolean);
+  if (seats.length === 0) return;
+
+  const existingTicket = await Ticket.findOne({
+    event: eventId,
+    'seatInfo.seatNumber': { $in: seats },
+    status: { $in: ['pending', 'active', 'used'] }
+  }).session(session || null);
+
+  if (existingTicket) {
+    throw new ApiError(`Seat ${existingTicket.seatInfo.seatNumber} is already booked`, 400);
+  }
+
+  const holdFilter = {
+    event: eventId,
+    seats: { $in: seats },
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  };
+  if (ownHoldId) holdFilter._id = { $ne: ownHoldId };
+
+  const existingHold = await Hold.findOne(holdFilter).session(session || null);
+  if (existingHold) {
+    const heldSeat = existingHold.seats.find((seat) => seats.includes(seat));
+    throw new ApiError(`Seat ${heldSeat} is currently held by another customer`, 400);
+  }
+};
+
+// Resolve the seat a booking asks for against the event seat map
+exports.resolveSeatInfo = (event, { seatNumber, section, row }) => {
+  if (!event.hasSeatMap()) {
+    return {
+      seatNumber,
+      section: section || 'General',
+      row: row || 'A'
+    };
+  }
+
+  const seat = event.findSeat(seatNumber);
+  if (!seat) {
+    throw new ApiError(`Seat ${seatNumber} does not exist for this event`, 400);
+  }
+
+  if (seat.isBlocked) {
+    throw new ApiError(`Seat ${seatNumber} is not available for booking`, 400);
+  }
+
+  return {
+    seatNumber: seat.seatNumber,
+    section: seat.section,
+    row: seat.row
+  };
+};
+
+// Resolve the ticket tier a booking asks for and check its sales rules
+// (skip the availability check when the seats are already held for the buyer)
+exports.resolveTicketType = (event, ticketTypeId, quantity = 1, checkAvailability = true) => {
+  if (!event.ticketTypes || event.ticketTypes.length === 0) {
+    if (ticketTypeId) {
+      throw new ApiError('This event does not sell ticket types', 400);
+    }
+    return null;
+  }
+
+  if (!ticketTypeId) {
+    throw new ApiError('Ticket type is required for this event', 400);
+  }
+
+  const ticketType = event.ticketTypes.id(ticketTypeId);
+  if (!ticketType || !ticketType.isActive) {
+    throw new ApiError('Ticket type not found for this event', 404);
+  }
+
+  const currentDate = new Date();
+  if (ticketType.salesStart && currentDate < ticketType.salesStart) {
+    throw new ApiError(`Sales for ${ticketType.name} tickets have not started yet`, 400);
+  }
+  if (ticketType.salesEnd && currentDate > ticketType.salesEnd) {
+    throw new ApiError(`Sales for ${ticketType.name} tickets have ended`, 400);
+  }
+
+  if (quantity > ticketType.maxPerOrder) {
+    throw new ApiError(`You can book at most ${ticketType.maxPerOrder} ${ticketType.name} tickets per order`, 400);
+  }
+
+  if (checkAvailability && ticketType.available < quantity) {
+    throw new ApiError(`Not enough ${ticketType.name} tickets available`, 400);
+  }
+
+  return ticketType;
+};
+
+// Move seats between the available, held and sold pools of an event (and tier).
+// Whenever seats leave the available pool the update only applies if enough are left
+const updateInventory = (eventId, { sold = 0, held = 0 }, session, ticketTypeId) => {
+  const taken = sold + held;
+  const filter = { _id: eventId };
+  const update = { $inc: { 'capacity.availableSeats': -taken } };
+  const options = { new: true, session };
+
+  if (sold) update.$inc['capacity.soldSeats'] = sold;
+  if (held) update.$inc['capacity.heldSeats'] = held;
+  if (taken > 0) filter['capacity.availableSeats'] = { $gte: taken };
+
+  if (ticketTypeId) {
+    const typeId = new mongoose.Types.ObjectId(ticketTypeId);
+    if (taken > 0) {
+      filter.$expr = {
+        $anyElementTrue: {
+          $map: {
+            input: '$ticketTypes',
+            as: 'type',
+            in: {
+              $and: [
+                { $eq: ['$$type._id', typeId] },
+                {
+                  $lte: [
+                    { $add: ['$$type.sold', { $ifNull: ['$$type.held', 0] }, taken] },
+                    '$$type.quota'
+                  ]
+                }
+              ]
+            }
+          }
+        }
+      };
+    }
+    if (sold) update.$inc['ticketTypes.$[type].sold'] = sold;
+    if (held) update.$inc['ticketTypes.$[type].held'] = held;
+    options.arrayFilters = [{ 'type._id': typeId }];
+  }
+
+  return Event.findOneAndUpdate(filter, update, options);
+};
+
+// Error raised when the inventory update found too few seats
+const notEnoughSeats = (quantity, ticketType) => {
+  if (ticketType) {
+    return new ApiError(`Not enough ${ticketType.name} tickets available`, 400);
+  }
+  return new ApiError(quantity > 1 ? 'Not enough seats available' : 'No seats available', 400);
+};
+
+// Atomically take seats (and tier quota) from the event, failing if not enough are left
+exports.reserveSeats = async (eventId, quantity, session, ticketType) => {
+  const event = await updateInventory(eventId, { sold: quantity }, session, ticketType && ticketType._id);
+  if (!event) throw notEnoughSeats(quantity, ticketType);
+  return event;
+};
+
+// Give sold seats (and tier quota) back to the event
+exports.releaseSeats = (eventId, quantity, session, ticketTypeId) =>
+  updateInventory(eventId, { sold: -quantity }, session, ticketTypeId);
+
+// Atomically put seats on hold, failing if not enough are left
+exports.holdSeats = async (eventId, quantity, session, ticketType) => {
+  const event = await updateInventory(eventId, { held: quantity }, session, ticketType && ticketType._id);
+  if (!event) throw notEnoughSeats(quantity, ticketType);
+  return event;
+};
+
+// Give held seats back to the event
+exports.releaseHeldSeats = (eventId, quantity, session, ticketTypeId) =>
+  updateInventory(eventId, { held: -quantity }, session, ticketTypeId);
+
+// Ticket tier fields organizers can edit, `sold` and `held` only move with bookings and holds
+const EDITABLE_TICKET_TYPE_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'currency',
+  'quota',
+  'salesStart',
+  'salesEnd',
+  'maxPerOrder',
+  'gates',
+  'isActive'
+];
+
+// Turn the ticket tiers and total seats sent for an event into `$set` paths that keep its
+// sales counters: tiers are matched by `_id`, tiers without one are added, and tiers left
+// out are removed as long as nothing was sold or held on them
+exports.buildInventoryUpdate = (event, { ticketTypes, capacity }) => {
+  const update = {};
+  const sold = event.capacity.soldSeats || 0;
+  const held = event.capacity.heldSeats || 0;
+
+  let totalSeats = event.capacity.totalSeats;
+  if (capacity && capacity.totalSeats !== undefined) {
+    totalSeats = Number(capacity.totalSeats);
+    if (totalSeats < sold + held) {
+      throw new ApiError(`Total seats cannot go below the ${sold + held} seats already sold or held`, 400);
+    }
+    update['capacity.totalSeats'] = totalSeats;
+    update['capacity.availableSeats'] = totalSeats - sold - held;
+  }
+
+  let types = event.ticketTypes;
+  if (ticketTypes) {
+    const kept = new Set();
+    types = ticketTypes.map((input) => {
+      const fields = {};
+      EDITABLE_TICKET_TYPE_FIELDS.forEach((field) => {
+        if (input[field] !== undefined) fields[field] = input[field];
+      });
+      if (!input._id) return { ...fields, sold: 0, held: 0 };
+
+      const existing = event.ticketTypes.id(input._id);
+      if (!existing) {
+        throw new ApiError(`Ticket type ${input._id} not found for this event`, 404);
+      }
+      kept.add(String(existing._id));
+      const taken = existing.sold + (existing.held || 0);
+      if (fields.quota !== undefined && Number(fields.quota) < taken) {
+        throw new ApiError(`The ${existing.name} quota cannot go below the ${taken} tickets already sold or held`, 400);
+      }
+      return { ...existing.toObject({ virtuals: false }), ...fields, sold: existing.sold, held: existing.held || 0 };
+    });
+
+    const removed = event.ticketTypes.find(
+      (type) => !kept.has(String(type._id)) && type.sold + (type.held || 0) > 0
+    );
+    if (removed) {
+      throw new ApiError(`The ${removed.name} tier has tickets and cannot be removed, deactivate it instead`, 400);
+    }
+    update.ticketTypes = types;
+  }
+
+  const totalQuota = types.reduce((sum, type) => sum + Number(type.quota), 0);
+  if (totalQuota > totalSeats) {
+    throw new ApiError('Ticket type quotas cannot exceed total seats', 400);
+  }
+  return update;
+};
+
+// Filter that only matches while an event's sales counters (and its tiers') are the ones
+// its inventory update was built from, so concurrent bookings are never overwritten
+exports.inventoryUnchanged = (event) => {
+  // Counters missing on older documents count as 0
+  const counter = (value) => (value ? value : { $in: [0, null] });
+  const filter = {
+    'capacity.soldSeats': counter(event.capacity.soldSeats),
+    'capacity.heldSeats': counter(event.capacity.heldSeats)
+  };
+  if (event.ticketTypes.length > 0) {
+    filter.$and = event.ticketTypes.map((type) => ({
+      ticketTypes: { $elemMatch: { _id: type._id, sold: counter(type.sold), held: counter(type.held) } }
+    }));
+  }
+  return filter;
+};
+
+// Load an active hold of the current user so a booking can use it
+exports.findActiveHold = async (holdId, userId, eventId) => {
+  const hold = await Hold.findById(holdId);
+
+  if (!hold || hold.user.toString() !== userId.toString() || hold.event.toString() !== eventId.toString()) {
+    throw new ApiError('Hold not found for this event', 404);
+  }
+
+  if (!hold.isActive) {
+    throw new ApiError('This hold has expired or was already used', 400);
+  }
+
+  return hold;
+};
+
+// Turn an active hold into sold seats inside the booking transaction
+exports.convertHold = async (hold, session) => {
+  const converted = await Hold.findOneAndUpdate(
+    { _id: hold._id, status: 'active', expiresAt: { $gt: new Date() } },
+    { status: 'converted', convertedAt: new Date() },
+    { new: true, session }
+  );
+
+  if (!converted) {
+    throw new ApiError('This hold has expired or was already used', 400);
+  }
+
+  const typeId = hold.ticketType && hold.ticketType.typeId;
+  await updateInventory(hold.event, { sold: hold.quantity, held: -hold.quantity }, session, typeId);
+
+  // A hold offered from the waitlist has now been claimed
+  await Waitlist.updateOne(
+    { 'offer.hold': hold._id, status: 'offered' },
+    { status: 'claimed', claimedAt: new Date() },
+    { session }
+  );
+  return converted;
+};
+
+// Check that the seats of a booking match the hold it converts
+exports.assertSeatsMatchHold = (hold, seatNumbers) => {
+  if (seatNumbers.length !== hold.quantity) {
+    throw new ApiError(`This hold covers ${hold.quantity} seats, book all of them together`, 400);
+  }
+
+  if (hold.seats.length > 0) {
+    const missing = seatNumbers.find((seat) => !hold.seats.includes(seat));
+    if (missing) {
+      throw new ApiError(`Seat ${missing} is not part of this hold`, 400);
+    }
+  }
+};
+
+// Calculate the price of a single ticket (tier price, or early bird aware event price)
+exports.calculateTicketPricing = (event, ticketType) => {
+  if (ticketType) {
+    return {
+      originalPrice: ticketType.price,
+      finalPrice: ticketType.price,
+      discount: 0,
+      currency: ticketType.currency
+    };
+  }
+
+  const currentDate = new Date();
+  let finalPrice = event.pricing.ticketPrice;
+  let discount = 0;
+
+  if (event.pricing.earlyBird &&
+      event.pricing.earlyBird.deadline > currentDate &&
+      event.pricing.earlyBird.price) {
+    finalPrice = event.pricing.earlyBird.price;
+    discount = event.pricing.ticketPrice - finalPrice;
+  }
+
+  return {
+    originalPrice: event.pricing.ticketPrice,
+    finalPrice,
+    discount,
+    currency: event.pricing.currency
+  };
+};
+
+// Whether a booking has to be paid through the payment provider before its tickets are valid
+exports.requiresOnlinePayment = (paymentMethod, amount) => paymentMethod !== 'cash' && amount > 0;
+
+// Build the payment block shared by the tickets of one booking
+// (free bookings are settled right away, paid ones wait for the provider or the cashier)
+exports.buildPaymentInfo = (paymentMethod, amount) => ({
+  paymentMethod,
+  paymentStatus: amount > 0 ? 'pending' : 'completed',
+  paidAt: amount > 0 ? undefined : new Date()
+});
+
+// Build the signed token encoded in a ticket QR code
+const buildQRData = (ticket) =>
+  signQRToken({
+    typ: 'TICKET',
+    tid: String(ticket._id),
+    eid: String(ticket.event._id || ticket.event),
+    num: ticket.ticketNumber,
+    ver: ticket.qrCode.version
+  }, ticket.validUntil);
+
+// Tickets (and their QR codes) stay valid for a grace period after the event ends
+exports.ticketValidUntil = (event) =>
+  new Date(event.dateTime.end.getTime() + TICKET_GRACE_HOURS * 60 * 60 * 1000);
+
+// Create a ticket together with its QR data inside the booking transaction
+exports.createTicket = async (ticketData, session) => {
+  const ticket = new Ticket(ticketData);
+  if (!ticket.validUntil) {
+    const event = await Event.findById(ticket.event).select('dateTime').session(session || null);
+    ticket.validUntil = exports.ticketValidUntil(event);
+  }
+  await ticket.save({ session });
+
+  ticket.qrCode = { version: 1 };
+  ticket.qrCode.data = buildQRData(ticket);
+  await ticket.save({ session });
+
+  return ticket;
+};
+
+// Give a ticket new QR data so earlier copies of its QR code stop working
+exports.reissueQRData = (ticket) => {
+  ticket.qrCode = { version: (ticket.qrCode.version || 1) + 1 };
+  ticket.qrCode.data = buildQRData(ticket);
+  return ticket;
+};
+
+// Sign a ticket's QR data again after its validity changed, the QR version (and older copies) stay valid
+exports.resignQRData = (ticket) => {
+  ticket.qrCode.data = buildQRData(ticket);
+  return ticket;
+};
+
+// Tickets booked before QR codes were signed carry JSON QR data, which check-in refuses
+const hasLegacyQRData = (ticket) => Boolean(ticket.qrCode && ticket.qrCode.data && ticket.qrCode.data.startsWith('{'));
+
+// Give a ticket booked before QR codes were signed a signed QR code and a new image.
+// The QR version stays the same, returns whether the ticket needed it
+exports.upgradeLegacyQRCode = async (ticket) => {
+  if (!hasLegacyQRData(ticket) || !['pending', 'active'].includes(ticket.status)) return false;
+
+  if (!ticket.validUntil) {
+    const event = await Event.findById(ticket.event._id || ticket.event).select('dateTime');
+    ticket.validUntil = exports.ticketValidUntil(event);
+  }
+  exports.resignQRData(ticket);
+  await Ticket.updateOne(
+    { _id: ticket._id },
+    { validUntil: ticket.validUntil, 'qrCode.data': ticket.qrCode.data }
+  );
+  await exports.attachQRCode(ticket);
+  return true;
+};
+
+// Render the QR image of a committed ticket and store its file name
+exports.attachQRCode = async (ticket) => {
+  const version = ticket.qrCode.version || 1;
+  const fileName = version > 1 ? `${ticket.ticketNumber}-v${version}` : ticket.ticketNumber;
+  const qrCodeResult = await generateQRCode(ticket.qrCode.data, fileName);
+
+  if (qrCodeResult.success) {
+    ticket.qrCode.image = qrCodeResult.filePath;
+    await Ticket.updateOne({ _id: ticket._id }, { 'qrCode.image': qrCodeResult.filePath });
+  }
+
+  return qrCodeResult;
+};
@@ -0,0 +1,478 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Types } = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const Event = require('../models/eventModel');
+const Ticket = require('../models/ticketModel');
+const ResaleListing = require('../models/resaleListingModel');
+const ScanEvent = require('../models/scanEventModel');
+const { ticketValidUntil } = require('./bookingService');
+const { assertNotListed } = require('./resaleService');
+const { signQRToken, verifyQRToken } = require('../utils/qrToken');
+
+// Scanner clocks drift, accept offline scans slightly "in the future"
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Live dashboards: stats are recomputed at most once per second per event,
+// arrivals per minute cover the last hour, and idle streams get a keep-alive comment
+const STATS_DEBOUNCE_MS = 1000;
+const ARRIVAL_WINDOW_MINUTES = 60;
+const KEEP_ALIVE_MS = 25 * 1000;
+
+// Scans are pushed to the dashboards connected to this server, one channel per event id
+const checkInFeed = new EventEmitter();
+checkInFeed.setMaxListeners(0);
+const pendingStats = new Set();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Only the organizer (or an admin) can run the doors of an event
+const findManagedEvent = async (eventId, user) => {
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new ApiError('Event not found', 404);
+  }
+  if (user.role !== 'admin' && event.organizer.toString() !== user._id.toString()) {
+    throw new ApiError('You can only manage check-in for your own events', 403);
+  }
+  return event;
+};
+
+// Gates a user can scan at: any gate for admins and the organizer (null), the assigned ones for staff
+const scannableGates = (event, user) => {
+  if (user.role === 'admin' || String(event.organizer) === String(user._id)) return null;
+  return event.gates
+    .filter((gate) => gate.staff.some((id) => String(id) === String(user._id)))
+    .map((gate) => gate.name);
+};
+
+// Only the organizer, an admin or staff assigned to one of its gates can scan for an event
+const findScanEvent = async (eventId, user) => {
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new ApiError('Event not found', 404);
+  }
+  const gates = scannableGates(event, user);
+  if (gates && gates.length === 0) {
+    throw new ApiError('You are not assigned to scan tickets for this event', 403);
+  }
+  return event;
+};
+exports.findScanEvent = findScanEvent;
+
+// Work out which gate a scan happens at and make sure the user may scan there.
+// Events without gates accept any gate name
+const resolveScanGate = (event, user, gateName) => {
+  const allowed = scannableGates(event, user);
+  const defined = event.gates.map((gate) => gate.name);
+
+  let gate = gateName;
+  if (!gate && allowed && allowed.length === 1) [gate] = allowed;
+  if (!gate && defined.length === 1) [gate] = defined;
+  if (!gate && defined.length > 1) {
+    throw new ApiError('Choose the gate you are scanning at', 400);
+  }
+  gate = gate || 'Main Gate';
+
+  if (defined.length > 0 && !defined.includes(gate)) {
+    throw new ApiError(`${gate} is not a gate of this event`, 400);
+  }
+  if (allowed && !allowed.includes(gate)) {
+    throw new ApiError(`You are not assigned to scan tickets at ${gate}`, 403);
+  }
+  return gate;
+};
+
+// Whether a ticket's tier may enter through a gate (tiers without gates can use any of them)
+const tierAllowsGate = (event, ticketType, gate) => {
+  const tier = ticketType && ticketType.typeId && event.ticketTypes.id(ticketType.typeId);
+  return !tier || !tier.gates || tier.gates.length === 0 || tier.gates.includes(gate);
+};
+
+// Ids of the event tickets currently on the resale marketplace, they cannot get in
+const findListedTicketIds = async (eventId) => {
+  const listed = await ResaleListing.find({
+    event: eventId,
+    status: { $in: ['active', 'reserved'] }
+  }).distinct('ticket');
+  return new Set(listed.map(String));
+};
+
+// Download the gate manifest for offline scanning
+// GET /api/v1/tickets/event/:eventId/manifest
+// Private/Admin-Manager-Staff
+exports.getGateManifest = asyncHandler(async (req, res, next) => {
+  const event = await findScanEvent(req.params.eventId, req.user);
+  const gate = resolveScanGate(event, req.user, req.query.gate);
+
+  // Events with re-entry also need the tickets already used, attendees come back with them
+  const statuses = event.allowReEntry ? ['active', 'used'] : ['active'];
+  const tickets = await Ticket.find({
+    event: event._id,
+    status: { $in: statuses },
+    'qrCode.data': { $exists: true }
+  })
+    .select('ticketNumber qrCode ticketType seatInfo attendeeInfo.name checkIn.isCheckedIn')
+    .lean();
+
+  const listedIds = await findListedTicketIds(event._id);
+
+  // Scanners match the hash of a scanned code, so a leaked manifest cannot be turned into tickets
+  const entries = tickets
+    .filter((ticket) => !listedIds.has(String(ticket._id)) && tierAllowsGate(event, ticket.ticketType, gate))
+    .map((ticket) => ({
+      tokenHash: hashToken(ticket.qrCode.data),
+      ticketNumber: ticket.ticketNumber,
+      version: ticket.qrCode.version || 1,
+      ticketType: ticket.ticketType && ticket.ticketType.name,
+      seat: ticket.seatInfo && ticket.seatInfo.seatNumber,
+      attendee: ticket.attendeeInfo.name,
+      checkedIn: Boolean(ticket.checkIn && ticket.checkIn.isCheckedIn)
+    }));
+
+  const generatedAt = new Date();
+  const expiresAt = ticketValidUntil(event);
+  const signature = signQRToken({
+    typ: 'MANIFEST',
+    eid: String(event._id),
+    gate,
+    gen: generatedAt.toISOString(),
+    sha: hashToken(JSON.stringify(entries))
+  }, expiresAt);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      event: event._id,
+      gate,
+      allowReEntry: event.allowReEntry,
+      generatedAt,
+      expiresAt,
+      results: entries.length,
+      tickets: entries,
+      signature
+    }
+  });
+});
+
+// Apply one scan (entry or exit) to its ticket, returns the rejection reason when it is refused.
+// `event` restricts the scan to one event, as the gate sync does
+const applyScan = async (scan, { event, user }) => {
+  const scannedAt = scan.scannedAt ? new Date(scan.scannedAt) : new Date();
+  const direction = scan.direction || 'in';
+  if (scannedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return { reason: 'Scan time is in the future' };
+  }
+
+  // Verify the QR signature and expiry before looking anything up
+  let claims;
+  try {
+    claims = verifyQRToken(scan.qrData, scannedAt);
+  } catch (error) {
+    return { reason: error.message };
+  }
+  if (claims.typ !== 'TICKET') {
+    return { reason: 'This QR code is not a ticket' };
+  }
+  if (event && claims.eid !== String(event._id)) {
+    return { reason: 'This ticket is for another event' };
+  }
+
+  const ticket = await Ticket.findById(claims.tid)
+    .populate('event', 'title status allowReEntry organizer gates ticketTypes');
+  if (!ticket) {
+    return { eventId: claims.eid, reason: 'Ticket not found', statusCode: 404 };
+  }
+  let gate = scan.gate;
+  const rejectWith = (reason, conflict) => ({ ticket, gate, reason, conflict });
+  try {
+    gate = resolveScanGate(ticket.event, user, scan.gate);
+  } catch (error) {
+    return { ...rejectWith(error.message), statusCode: error.statusCode };
+  }
+
+  if (!['active', 'used'].includes(ticket.status)) {
+    return rejectWith('This ticket is not valid for entry');
+  }
+  if ((claims.ver || 1) !== (ticket.qrCode.version || 1)) {
+    return rejectWith('This QR code has been replaced, ask the attendee for their current ticket');
+  }
+  try {
+    await assertNotListed(ticket);
+  } catch (error) {
+    return rejectWith(error.message);
+  }
+  if (ticket.event.status !== 'published') {
+    return rejectWith('Event is not active');
+  }
+  if (direction === 'in' && !tierAllowsGate(ticket.event, ticket.ticketType, gate)) {
+    return rejectWith(`${ticket.ticketType.name} tickets cannot enter through ${gate}`);
+  }
+
+  const { checkIn } = ticket;
+  const firstEntry = { gate: checkIn.gate, checkedInAt: checkIn.checkedInAt };
+  if (checkIn.lastScanAt && scannedAt < checkIn.lastScanAt) {
+    return rejectWith('A later scan of this ticket has already been recorded', firstEntry);
+  }
+
+  // Work out the state change, each one only applies if no other scan got there first
+  let filter;
+  let update;
+  if (direction === 'out') {
+    if (!ticket.event.allowReEntry) {
+      return rejectWith('This event does not allow re-entry, tickets cannot be checked out');
+    }
+    filter = { status: 'used', 'checkIn.isInside': true };
+    update = { 'checkIn.isInside': false, 'checkIn.lastScanAt': scannedAt };
+  } else if (!checkIn.isCheckedIn) {
+    filter = { status: 'active', 'checkIn.isCheckedIn': false, 'qrCode.version': claims.ver || 1 };
+    update = {
+      status: 'used',
+      checkIn: {
+        isCheckedIn: true,
+        checkedInAt: scannedAt,
+        checkedInBy: user._id,
+        gate,
+        isInside: true,
+        lastScanAt: scannedAt
+      }
+    };
+  } else if (ticket.event.allowReEntry) {
+    filter = { status: 'used', 'checkIn.isInside': { $ne: true } };
+    update = { 'checkIn.isInside': true, 'checkIn.lastScanAt': scannedAt };
+  } else {
+    return rejectWith('This ticket has already been used', firstEntry);
+  }
+
+  const updated = await Ticket.findOneAndUpdate({ _id: ticket._id, ...filter }, update, { new: true })
+    .populate('event', 'title');
+  if (!updated) {
+    return direction === 'out'
+      ? rejectWith('This attendee is not inside the venue')
+      : rejectWith('This attendee is already inside the venue', firstEntry);
+  }
+  return { ticket: updated, gate };
+};
+
+// Running check-in totals of an event for the live dashboard
+const getCheckInStats = async (eventId) => {
+  const id = new Types.ObjectId(String(eventId));
+  const since = new Date(Date.now() - ARRIVAL_WINDOW_MINUTES * 60 * 1000);
+  const arrivals = { event: id, result: 'accepted', direction: 'in' };
+
+  const [tickets] = await Ticket.aggregate([
+    { $match: { event: id, status: { $in: ['active', 'used'] } } },
+    {
+      $group: {
+        _id: null,
+        totalTickets: { $sum: 1 },
+        checkedIn: { $sum: { $cond: ['$checkIn.isCheckedIn', 1, 0] } },
+        inside: { $sum: { $cond: ['$checkIn.isInside', 1, 0] } }
+      }
+    }
+  ]);
+  const byGate = await ScanEvent.aggregate([
+    { $match: arrivals },
+    { $group: { _id: '$gate', arrivals: { $sum: 1 } } },
+    { $sort: { arrivals: -1 } }
+  ]);
+  const byMinute = await ScanEvent.aggregate([
+    { $match: { ...arrivals, scannedAt: { $gte: since } } },
+    { $group: { _id: { $dateTrunc: { date: '$scannedAt', unit: 'minute' } }, arrivals: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+  const rejectedScans = await ScanEvent.countDocuments({ event: id, result: 'rejected' });
+
+  return {
+    totalTickets: tickets ? tickets.totalTickets : 0,
+    checkedIn: tickets ? tickets.checkedIn : 0,
+    inside: tickets ? tickets.inside : 0,
+    rejectedScans,
+    arrivalsPerGate: byGate.map((gate) => ({ gate: gate._id, arrivals: gate.arrivals })),
+    arrivalsPerMinute: byMinute.map((minute) => ({ minute: minute._id, arrivals: minute.arrivals }))
+  };
+};
+
+// Push fresh totals to an event's dashboards, batching bursts such as a gate sync
+const scheduleStats = (channel) => {
+  if (pendingStats.has(channel) || checkInFeed.listenerCount(channel) === 0) return;
+  pendingStats.add(channel);
+  setTimeout(async () => {
+    pendingStats.delete(channel);
+    try {
+      checkInFeed.emit(channel, { type: 'stats', data: await getCheckInStats(channel) });
+    } catch (error) {
+      console.error(`Check-in stats failed for event ${channel}: ${error.message}`);
+    }
+  }, STATS_DEBOUNCE_MS);
+};
+
+// Keep a record of every scan, whether it was accepted or not, and push it to the live dashboards
+const recordScan = async (scan, result, { user, event, source }) => {
+  const { ticket } = result;
+  const scanEvent = await ScanEvent.create({
+    ticket: ticket && ticket._id,
+    event: (ticket && ticket.event && ticket.event._id) || result.eventId || (event && event._id),
+    gate: result.gate || scan.gate || 'Main Gate',
+    scannedBy: user._id,
+    direction: scan.direction || 'in',
+    result: result.reason ? 'rejected' : 'accepted',
+    reason: result.reason,
+    source,
+    scannedAt: scan.scannedAt || new Date()
+  });
+
+  if (scanEvent.event) {
+    const channel = String(scanEvent.event);
+    checkInFeed.emit(channel, {
+      type: 'scan',
+      data: {
+        id: scanEvent._id,
+        ticket: ticket && ticket.ticketNumber,
+        attendee: ticket && ticket.attendeeInfo && ticket.attendeeInfo.name,
+        gate: scanEvent.gate,
+        direction: scanEvent.direction,
+        result: scanEvent.result,
+        reason: scanEvent.reason,
+        source: scanEvent.source,
+        scannedAt: scanEvent.scannedAt
+      }
+    });
+    scheduleStats(channel);
+  }
+  return scanEvent;
+};
+
+// Check-in (or check-out) ticket using QR code
+// POST /api/v1/tickets/checkin
+// Private/Admin-Manager-Staff
+exports.checkInTicket = asyncHandler(async (req, res, next) => {
+  const { qrData, gate, direction } = req.body;
+  const scan = { qrData, gate, direction, scannedAt: new Date() };
+
+  const result = await applyScan(scan, { user: req.user });
+  await recordScan(scan, result, { user: req.user, source: 'live' });
+  if (result.reason) {
+    return next(new ApiError(result.reason, result.statusCode || 400));
+  }
+
+  const { ticket } = result;
+
+  res.status(200).json({
+    status: 'success',
+    message: direction === 'out' ? 'Ticket checked out successfully' : 'Ticket checked in successfully',
+    data: {
+      ticket: ticket.ticketNumber,
+      attendee: ticket.attendeeInfo.name,
+      event: ticket.event.title,
+      seat: ticket.seatInfo.seatNumber,
+      checkedInAt: ticket.checkIn.checkedInAt,
+      isInside: ticket.checkIn.isInside
+    }
+  });
+});
+
+// Get a ticket's scan history
+// GET /api/v1/tickets/:id/scans
+// Private/Admin-Manager
+exports.getTicketScans = asyncHandler(async (req, res, next) => {
+  const ticket = await Ticket.findById(req.params.id);
+  if (!ticket) {
+    return next(new ApiError(`No ticket found for this id ${req.params.id}`, 404));
+  }
+  await findManagedEvent(ticket.event, req.user);
+
+  const scans = await ScanEvent.find({ ticket: ticket._id })
+    .populate('scannedBy', 'name email')
+    .sort('scannedAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: scans.length,
+    data: {
+      ticket: ticket.ticketNumber,
+      checkIn: ticket.checkIn,
+      scans
+    }
+  });
+});
+
+// Sync scans recorded offline at the gates
+// POST /api/v1/tickets/checkin/sync
+// Private/Admin-Manager-Staff
+exports.syncCheckIns = asyncHandler(async (req, res, next) => {
+  const event = await findScanEvent(req.body.eventId, req.user);
+  if (event.status !== 'published') {
+    return next(new ApiError('Event is not active', 400));
+  }
+
+  // Scans are replayed in the order they happened: the earliest entry of a ticket wins,
+  // whichever gate or device it came from
+  const scans = req.body.scans
+    .map((scan, index) => ({ ...scan, index }))
+    .sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+
+  const accepted = [];
+  const rejected = [];
+  for (const scan of scans) {
+    // Scans are applied one at a time so duplicates in the batch see the earlier check-in
+    const result = await applyScan(scan, { event, user: req.user });
+    await recordScan(scan, result, { user: req.user, event, source: 'offline' });
+
+    const entry = {
+      index: scan.index,
+      ticket: result.ticket && result.ticket.ticketNumber,
+      gate: result.gate || scan.gate || 'Main Gate',
+      direction: scan.direction || 'in',
+      scannedAt: scan.scannedAt
+    };
+    if (result.reason) {
+      rejected.push({ ...entry, reason: result.reason, conflict: result.conflict });
+    } else {
+      accepted.push(entry);
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `${accepted.length} scans accepted, ${rejected.length} rejected`,
+    data: {
+      accepted: accepted.sort((a, b) => a.index - b.index),
+      rejected: rejected.sort((a, b) => a.index - b.index)
+    }
+  });
+});
+
+// Stream an event's scans and running check-in totals (Server-Sent Events)
+// GET /api/v1/tickets/event/:eventId/checkin/stream
+// Private/Admin-Manager
+exports.streamCheckIns = asyncHandler(async (req, res, next) => {
+  const event = await findManagedEvent(req.params.eventId, req.user);
+  const channel = String(event._id);
+  const stats = await getCheckInStats(event._id);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // compression buffers responses, flush every message through it
+  const write = (chunk) => {
+    res.write(chunk);
+    if (res.flush) res.flush();
+  };
+  const send = ({ type, data }) => write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send({ type: 'stats', data: stats });
+  checkInFeed.on(channel, send);
+  const keepAlive = setInterval(() => write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    checkInFeed.off(channel, send);
+  });
+});
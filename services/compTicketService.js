@@ -0,0 +1,145 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const sendEmail = require('../utils/sendEmail');
+const Event = require('../models/eventModel');
+const Ticket = require('../models/ticketModel');
+const {
+  runInTransaction,
+  assertSeatsAvailable,
+  resolveSeatInfo,
+  reserveSeats,
+  buildPaymentInfo,
+  createTicket,
+  attachQRCode
+} = require('./bookingService');
+
+// Face value of a comp ticket, kept so the giveaway can be reported, while the price is zero
+const compPricing = (event, ticketType) => {
+  const faceValue = ticketType ? ticketType.price : event.pricing.ticketPrice;
+  return {
+    originalPrice: faceValue,
+    finalPrice: 0,
+    discount: faceValue,
+    currency: ticketType ? ticketType.currency : event.pricing.currency
+  };
+};
+
+// Seat of a comp ticket, comps without a seat number are general admission
+const compSeatInfo = (event, guest) => {
+  if (!guest || !guest.seatNumber) return {};
+  return resolveSeatInfo(event, guest);
+};
+
+// Email a guest their comp ticket with the QR code attached
+const sendCompTicket = (ticket, event, qrCode) =>
+  sendEmail({
+    email: ticket.attendeeInfo.email,
+    subject: `Your ticket for ${event.title}`,
+    message: `Hi ${ticket.attendeeInfo.name},\n You have been invited to "${event.title}" on ${event.dateTime.start.toDateString()} at ${event.venue.name}. \n Your ticket number is ${ticket.ticketNumber}, show the attached QR code at the entrance. \n The Events Team`,
+    attachments: qrCode.success ? [{ filename: `${ticket.ticketNumber}.png`, path: qrCode.fullPath }] : undefined
+  });
+
+// Issue complimentary tickets (guests, press, sponsors)
+// POST /api/v1/tickets/event/:eventId/comp
+// Private/Admin-Manager
+exports.issueCompTickets = asyncHandler(async (req, res, next) => {
+  const { ticketTypeId, category, note, notify = true } = req.body;
+  const guests = req.body.guests || [];
+  const quantity = Number(req.body.quantity) || guests.length;
+
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+  if (req.user.role !== 'admin' && event.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only issue tickets for your own events', 403));
+  }
+  if (['cancelled', 'completed'].includes(event.status)) {
+    return next(new ApiError('Cannot issue tickets for a cancelled or completed event', 400));
+  }
+  if (guests.length > quantity) {
+    return next(new ApiError('There are more guests than tickets to issue', 400));
+  }
+
+  // Comps skip the sales windows and order limits of a tier, but still use up its quota
+  let ticketType = null;
+  if (event.ticketTypes.length > 0) {
+    ticketType = ticketTypeId && event.ticketTypes.id(ticketTypeId);
+    if (!ticketType) {
+      return next(new ApiError('Ticket type not found for this event', 404));
+    }
+  }
+
+  const seats = Array.from({ length: quantity }, (_, index) => compSeatInfo(event, guests[index]));
+  const seatNumbers = seats.map((seat) => seat.seatNumber).filter(Boolean);
+  if (new Set(seatNumbers).size !== seatNumbers.length) {
+    return next(new ApiError('The same seat cannot be given to two guests', 400));
+  }
+
+  const pricing = compPricing(event, ticketType);
+  const payment = buildPaymentInfo('complimentary', 0);
+
+  // Take the seats and create the tickets as one transaction
+  const tickets = await runInTransaction(async (session) => {
+    await reserveSeats(event._id, quantity, session, ticketType);
+    await assertSeatsAvailable(event._id, seatNumbers, session);
+
+    const created = [];
+    for (let index = 0; index < quantity; index += 1) {
+      const guest = guests[index];
+      // Tickets without a named guest stay with the organizer, who can transfer them later
+      const ticket = await createTicket({
+        event: event._id,
+        user: req.user._id,
+        attendeeInfo: {
+          name: guest ? guest.name : req.user.name,
+          email: guest ? guest.email : req.user.email,
+          phone: (guest && guest.phone) || req.user.phone
+        },
+        ticketType: ticketType ? { typeId: ticketType._id, name: ticketType.name } : undefined,
+        seatInfo: seats[index],
+        pricing,
+        payment,
+        status: 'active',
+        comp: { category, issuedBy: req.user._id, note },
+        metadata: {
+          source: 'comp',
+          userAgent: req.get('User-Agent'),
+          ipAddress: req.ip
+        }
+      }, session);
+      created.push(ticket);
+    }
+    return created;
+  });
+
+  // Render the QR codes and send named guests their ticket
+  let emailed = 0;
+  const emailFailures = [];
+  for (let index = 0; index < tickets.length; index += 1) {
+    const qrCode = await attachQRCode(tickets[index]);
+    if (notify && guests[index]) {
+      if (await sendCompTicket(tickets[index], event, qrCode)) {
+        emailed += 1;
+      } else {
+        emailFailures.push({
+          ticket: tickets[index].ticketNumber,
+          email: guests[index].email,
+          error: 'The ticket email could not be sent'
+        });
+      }
+    }
+  }
+
+  const issued = await Ticket.find({ _id: { $in: tickets.map((ticket) => ticket._id) } })
+    .select('ticketNumber attendeeInfo ticketType seatInfo comp qrCode status');
+
+  res.status(201).json({
+    status: 'success',
+    message: `${issued.length} complimentary tickets issued`,
+    results: issued.length,
+    emailed,
+    emailFailures,
+    data: issued
+  });
+});
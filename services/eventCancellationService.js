@@ -0,0 +1,209 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const sendEmail = require('../utils/sendEmail');
+const Event = require('../models/eventModel');
+const Ticket = require('../models/ticketModel');
+const Waitlist = require('../models/waitlistModel');
+const ResaleListing = require('../models/resaleListingModel');
+const { runInTransaction } = require('./bookingService');
+const {
+  failPendingBookings,
+  calculateRefund,
+  buildRefundUpdate,
+  recordOrderRefund,
+  issueRefund
+} = require('./paymentService');
+const { deleteQRCode } = require('./qrCodeService');
+const { releaseTicketSessions } = require('./sessionService');
+
+// Tickets that still admit someone, the ones a cancellation has to void and refund
+const LIVE_STATUSES = ['active', 'used'];
+
+// Void one ticket: cancel it with a full refund of what was paid, then send the refund
+// and drop its QR image. Returns what happened, failed steps are listed in `failures`
+const cancelTicket = async (ticket, reason) => {
+  const result = { ticket, refund: null, failures: [] };
+  const amount = calculateRefund(ticket, 100);
+
+  const update = { status: 'cancelled' };
+  if (amount > 0) {
+    Object.assign(update, buildRefundUpdate(ticket, amount, { percentage: 100, reason }));
+  }
+
+  const cancelled = await runInTransaction(async (session) => {
+    const updated = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, status: { $in: LIVE_STATUSES } },
+      update,
+      { new: true, session }
+    );
+    if (!updated) return null;
+    await releaseTicketSessions([ticket._id], session);
+    if (ticket.order && amount > 0) {
+      await recordOrderRefund(ticket.order, amount, session);
+    }
+    return updated;
+  });
+  if (!cancelled) {
+    result.skipped = true;
+    return result;
+  }
+  result.ticket = cancelled;
+
+  if (amount > 0) {
+    const recorded = cancelled.payment.refunds[cancelled.payment.refunds.length - 1];
+    result.refund = await issueRefund(cancelled, recorded);
+    if (result.refund.status === 'failed') {
+      result.failures.push({ step: 'refund', error: result.refund.error });
+    }
+  }
+
+  if (cancelled.qrCode.image) {
+    const deleted = await deleteQRCode(cancelled.qrCode.image);
+    if (deleted.success) {
+      await Ticket.updateOne({ _id: cancelled._id }, { $unset: { 'qrCode.image': 1 } });
+    } else {
+      result.failures.push({ step: 'qrCode', error: deleted.error });
+    }
+  }
+  return result;
+};
+
+// Tell an attendee their tickets are void and what they get back
+const notifyAttendee = (event, reason, results) => {
+  const { attendeeInfo } = results[0].ticket;
+  const lines = results.map(({ ticket, refund }) => {
+    let refundText = 'nothing to refund';
+    if (refund) {
+      const outcome = {
+        pending: 'will be paid by the box office',
+        failed: 'could not be sent yet, our team will contact you about it'
+      }[refund.status] || 'is on its way';
+      refundText = `refund of ${refund.amount} ${ticket.pricing.currency} ${outcome}`;
+    }
+    return `- Ticket ${ticket.ticketNumber}: ${refundText}`;
+  });
+
+  return sendEmail({
+    email: attendeeInfo.email,
+    subject: `${event.title} has been cancelled`,
+    message: `Hi ${attendeeInfo.name},\n We are sorry to tell you that "${event.title}" on ${event.dateTime.start.toDateString()} has been cancelled. \n Reason: ${reason} \n Your tickets are no longer valid: \n${lines.join('\n')} \n The Events Team`
+  });
+};
+
+// Send the refunds that failed during an earlier run again
+const retryFailedRefunds = async (eventId) => {
+  const tickets = await Ticket.find({ event: eventId, status: 'cancelled', 'payment.refunds.status': 'failed' });
+
+  const results = [];
+  for (const ticket of tickets) {
+    for (const recorded of ticket.payment.refunds.filter((refund) => refund.status === 'failed')) {
+      results.push({ ticket, refund: await issueRefund(ticket, recorded) });
+    }
+  }
+  return results;
+};
+
+// Cancel an event: void and refund every ticket, close its marketplace and waitlist, and notify attendees.
+// Active holds are left to expire, which gives their seats back.
+// Calling it again on a cancelled event finishes the tickets and refunds an earlier run could not
+// POST /api/v1/events/:id/cancel
+// Private/Admin-Manager
+exports.cancelEvent = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ApiError(`No event found for this id ${req.params.id}`, 404));
+  }
+  if (req.user.role !== 'admin' && event.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only cancel your own events', 403));
+  }
+  if (event.status === 'completed') {
+    return next(new ApiError('This event is already completed', 400));
+  }
+
+  // Stop sales first, nothing can be booked once the event is cancelled
+  let cancelledEvent = event;
+  if (event.status !== 'cancelled') {
+    // Only from the status the event was loaded with, so the history records where it came from
+    const cancelledAt = new Date();
+    cancelledEvent = await Event.findOneAndUpdate(
+      { _id: event._id, status: event.status },
+      {
+        status: 'cancelled',
+        cancellation: { reason: req.body.reason, cancelledAt, cancelledBy: req.user._id },
+        $push: {
+          statusHistory: { from: event.status, to: 'cancelled', by: req.user._id, at: cancelledAt, note: req.body.reason }
+        }
+      },
+      { new: true }
+    );
+    if (!cancelledEvent) {
+      return next(new ApiError('The event status changed in the meantime, reload it and try again', 409));
+    }
+  }
+  // A re-run keeps the reason attendees were first given
+  const reason = cancelledEvent.cancellation.reason || req.body.reason;
+
+  // Bookings still waiting for their payment are settled or failed before tickets are voided
+  await failPendingBookings({ event: event._id });
+  await ResaleListing.updateMany({ event: event._id, status: { $in: ['active', 'reserved'] } }, { status: 'cancelled' });
+  await Waitlist.updateMany({ event: event._id, status: { $in: ['waiting', 'offered'] } }, { status: 'cancelled' });
+
+  const failures = [];
+  const refunded = {};
+
+  // Refunds that failed in an earlier run, before this run adds its own
+  for (const { ticket, refund } of await retryFailedRefunds(event._id)) {
+    if (refund.status === 'failed') {
+      failures.push({ ticket: ticket.ticketNumber, step: 'refund', error: refund.error });
+    } else {
+      refunded[ticket.pricing.currency] = (refunded[ticket.pricing.currency] || 0) + refund.amount;
+    }
+  }
+
+  const tickets = await Ticket.find({ event: event._id, status: { $in: LIVE_STATUSES } });
+
+  const byAttendee = new Map();
+  let processed = 0;
+  for (const ticket of tickets) {
+    try {
+      const result = await cancelTicket(ticket, reason);
+      if (result.skipped) continue;
+      processed += 1;
+      if (result.refund && result.refund.status !== 'failed') {
+        const { currency } = result.ticket.pricing;
+        refunded[currency] = (refunded[currency] || 0) + result.refund.amount;
+      }
+      result.failures.forEach((failure) => failures.push({ ticket: ticket.ticketNumber, ...failure }));
+
+      const email = result.ticket.attendeeInfo.email.toLowerCase();
+      if (!byAttendee.has(email)) byAttendee.set(email, []);
+      byAttendee.get(email).push(result);
+    } catch (error) {
+      failures.push({ ticket: ticket.ticketNumber, step: 'cancel', error: error.message });
+    }
+  }
+
+  let emailed = 0;
+  for (const [email, results] of byAttendee) {
+    if (await notifyAttendee(cancelledEvent, reason, results)) {
+      emailed += 1;
+    } else {
+      failures.push({ email, step: 'email', error: 'The cancellation email could not be sent' });
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `${cancelledEvent.title} has been cancelled`,
+    data: {
+      event: cancelledEvent,
+      summary: {
+        tickets: tickets.length,
+        cancelled: processed,
+        refunded,
+        attendeesNotified: emailed,
+        failures
+      }
+    }
+  });
+});
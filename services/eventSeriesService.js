@@ -0,0 +1,350 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const Event = require('../models/eventModel');
+const EventSeries = require('../models/eventSeriesModel');
+const Ticket = require('../models/ticketModel');
+const { expandOccurrences } = require('../utils/recurrence');
+const { runInTransaction } = require('./bookingService');
+const { refreshWalletPasses } = require('./walletPassService');
+const { moveEvent } = require('./rescheduleService');
+const { editNeedsReview, splitReviewedChanges, queueChangesUpdate } = require('./eventWorkflowService');
+
+// Event fields occurrences share through the series template
+const TEMPLATE_FIELDS = [
+  'description',
+  'shortDescription',
+  'category',
+  'coverImage',
+  'venue',
+  'pricing',
+  'capacity',
+  'ticketTypes',
+  'seatMap',
+  'refundPolicy',
+  'allowTransfers',
+  'gates',
+  'allowReEntry',
+  'resale',
+  'tags',
+  'features',
+  'ageRestriction',
+  'socialLinks'
+];
+
+// Ticket tiers and the seat map carry the sales of each occurrence, they are only copied
+// to occurrences nothing was sold or held for yet
+const INVENTORY_FIELDS = ['ticketTypes', 'seatMap'];
+
+// Tiers copied from the template or another occurrence start fresh on each occurrence
+const freshTicketTypes = (ticketTypes) =>
+  ticketTypes.map(({ _id, id, sold, held, available, ...ticketType }) => ticketType);
+
+const pickTemplateFields = (source) =>
+  TEMPLATE_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    if (key === 'ticketTypes' && Array.isArray(fields[key])) fields[key] = freshTicketTypes(fields[key]);
+    return fields;
+  }, {});
+
+// Split template changes into the ones every occurrence takes and the inventory ones
+const splitInventory = (changes) => {
+  const shared = { ...changes };
+  const inventory = {};
+  INVENTORY_FIELDS.forEach((key) => {
+    if (shared[key] === undefined) return;
+    inventory[key] = shared[key];
+    delete shared[key];
+  });
+  return { shared, inventory };
+};
+
+// Whether an occurrence can take new inventory fields: nothing sold or held, and room for the tier quotas
+const takesInventory = (event, inventory) => {
+  if (event.capacity.soldSeats > 0 || event.capacity.heldSeats > 0) return false;
+  if (!inventory.ticketTypes) return true;
+  const totalQuota = inventory.ticketTypes.reduce((sum, type) => sum + Number(type.quota || 0), 0);
+  return totalQuota <= event.capacity.totalSeats;
+};
+
+// Write inventory fields to occurrences, unless a booking came in since they were loaded
+const applyInventory = (ids, inventory, session) =>
+  Event.updateMany(
+    { _id: { $in: ids }, 'capacity.soldSeats': { $in: [0, null] }, 'capacity.heldSeats': { $in: [0, null] } },
+    inventory,
+    { session }
+  );
+
+// Whether an occurrence has tickets whose holders have to hear about a time change
+const ticketedEvents = async (events) => {
+  const ids = await Ticket.distinct('event', {
+    event: { $in: events.map((event) => event._id) },
+    status: { $in: ['active', 'pending'] }
+  });
+  return (event) => ids.some((id) => id.equals(event._id));
+};
+
+// Update of an approved occurrence by a manager: the reviewed changes wait for an admin
+const approvedUpdate = (changes, user) => {
+  const { direct, queued } = splitReviewedChanges(changes);
+  return Object.keys(queued).length > 0 ? { ...direct, ...queueChangesUpdate(queued, user) } : direct;
+};
+
+// Build the Event document of one occurrence
+const buildOccurrence = (series, start) => ({
+  ...series.template,
+  capacity: { totalSeats: series.template.capacity && series.template.capacity.totalSeats },
+  title: series.title,
+  organizer: series.organizer,
+  series: series._id,
+  occurrenceDate: start,
+  dateTime: {
+    start,
+    end: new Date(start.getTime() + series.durationMinutes * 60 * 1000)
+  }
+});
+
+// Only the organizer (or an admin) can manage a series
+const findManagedSeries = async (id, user) => {
+  const series = await EventSeries.findById(id);
+  if (!series) {
+    throw new ApiError(`No event series found for this id ${id}`, 404);
+  }
+  if (user.role !== 'admin' && series.organizer.toString() !== user._id.toString()) {
+    throw new ApiError('You can only manage your own event series', 403);
+  }
+  return series;
+};
+
+// Create an event series and its occurrences
+// POST /api/v1/event-series
+// Private/Admin-Manager
+exports.createSeries = asyncHandler(async (req, res, next) => {
+  const { title, startsAt, durationMinutes, recurrence, timezone } = req.body;
+
+  const starts = expandOccurrences(startsAt, recurrence, timezone);
+  if (starts.length === 0) {
+    return next(new ApiError('The recurrence rule does not produce any occurrence', 400));
+  }
+
+  const { series, occurrences } = await runInTransaction(async (session) => {
+    const [newSeries] = await EventSeries.create([{
+      title,
+      organizer: req.user._id,
+      startsAt,
+      timezone,
+      durationMinutes,
+      recurrence,
+      template: pickTemplateFields(req.body.template)
+    }], { session });
+
+    const events = await Event.create(
+      starts.map((start) => buildOccurrence(newSeries, start)),
+      { session, ordered: true }
+    );
+    return { series: newSeries, occurrences: events };
+  });
+
+  res.status(201).json({
+    status: 'success',
+    results: occurrences.length,
+    data: { series, occurrences }
+  });
+});
+
+// Get my event series (all of them for admins)
+// GET /api/v1/event-series
+// Private/Admin-Manager
+exports.getSeriesList = asyncHandler(async (req, res, next) => {
+  const filter = req.user.role === 'admin' ? {} : { organizer: req.user._id };
+  const series = await EventSeries.find(filter).sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: series.length,
+    data: series
+  });
+});
+
+// Get a series with its occurrences
+// GET /api/v1/event-series/:id
+// Private/Admin-Manager
+exports.getSeries = asyncHandler(async (req, res, next) => {
+  const series = await findManagedSeries(req.params.id, req.user);
+  const occurrences = await Event.find({ series: series._id })
+    .select('title slug dateTime occurrenceDate status capacity')
+    .sort('occurrenceDate');
+
+  res.status(200).json({
+    status: 'success',
+    data: { series, occurrences }
+  });
+});
+
+// Update a series: the template and rule apply to all future occurrences.
+// Future occurrences the new rule no longer produces are removed, unless tickets were sold for them,
+// occurrences with sales keep their own ticket tiers and seat map, and a manager's changes to what
+// attendees see of approved occurrences wait for an admin like edits of a single event
+// PUT /api/v1/event-series/:id
+// Private/Admin-Manager
+exports.updateSeries = asyncHandler(async (req, res, next) => {
+  const series = await findManagedSeries(req.params.id, req.user);
+  ['title', 'startsAt', 'timezone', 'durationMinutes', 'recurrence'].forEach((key) => {
+    if (req.body[key] !== undefined) series[key] = req.body[key];
+  });
+  if (req.body.template) {
+    series.template = { ...series.template, ...pickTemplateFields(req.body.template) };
+    series.markModified('template');
+  }
+
+  const now = new Date();
+  const wanted = expandOccurrences(series.startsAt, series.recurrence, series.timezone).filter((start) => start > now);
+  const wantedTimes = new Set(wanted.map((start) => start.getTime()));
+  const future = await Event.find({ series: series._id, occurrenceDate: { $gt: now } });
+  const existingTimes = new Set(future.map((event) => event.occurrenceDate.getTime()));
+
+  const dropped = future.filter((event) => !wantedTimes.has(event.occurrenceDate.getTime()));
+  const sold = (event) => event.capacity.soldSeats > 0 || event.capacity.heldSeats > 0;
+  const removed = dropped.filter((event) => !sold(event));
+  const kept = dropped.filter(sold);
+  const remaining = future.filter((event) => !removed.includes(event));
+
+  const template = pickTemplateFields(req.body.template || {});
+  delete template.capacity;
+  if (req.body.title !== undefined) template.title = series.title;
+  const { shared, inventory } = splitInventory(template);
+  const hasInventory = Object.keys(inventory).length > 0;
+  const reviewedChanges = Object.keys(splitReviewedChanges(shared).queued).length > 0;
+  const pendingReview = remaining.filter((event) => editNeedsReview(event, req.user));
+  const inventoryKept = hasInventory ? remaining.filter((event) => !takesInventory(event, inventory)) : [];
+  // A new duration moves the end of occurrences with tickets through a reschedule
+  const durationMs = series.durationMinutes * 60 * 1000;
+  const hasTickets = req.body.durationMinutes !== undefined ? await ticketedEvents(remaining) : () => false;
+  const retimed = remaining.filter(hasTickets);
+
+  const created = await runInTransaction(async (session) => {
+    await series.save({ session });
+    await Event.deleteMany({ _id: { $in: removed.map((event) => event._id) } }, { session });
+    if (remaining.length > 0) {
+      const ids = remaining.map((event) => event._id);
+      const approved = pendingReview.map((event) => event._id);
+      await Event.updateMany({ _id: { $in: ids, $nin: approved } }, shared, { session });
+      await Event.updateMany({ _id: { $in: approved } }, approvedUpdate(shared, req.user), { session });
+      if (hasInventory) {
+        const inventoryIds = remaining.filter((event) => !inventoryKept.includes(event)).map((event) => event._id);
+        await applyInventory(inventoryIds, inventory, session);
+      }
+      if (req.body.durationMinutes !== undefined) {
+        await Event.updateMany(
+          { _id: { $in: ids, $nin: retimed.map((event) => event._id) } },
+          [{ $set: { 'dateTime.end': { $add: ['$dateTime.start', durationMs] } } }],
+          { session }
+        );
+      }
+    }
+    const newStarts = wanted.filter((start) => !existingTimes.has(start.getTime()));
+    return newStarts.length > 0
+      ? Event.create(newStarts.map((start) => buildOccurrence(series, start)), { session, ordered: true })
+      : [];
+  });
+
+  for (const { _id } of retimed) {
+    const occurrence = await Event.findById(_id);
+    const end = new Date(occurrence.dateTime.start.getTime() + durationMs);
+    if (end.getTime() === occurrence.dateTime.end.getTime()) continue;
+    await moveEvent(occurrence, { start: occurrence.dateTime.start, end }, {
+      reason: 'The event series duration changed',
+      by: req.user._id
+    });
+  }
+
+  if (remaining.length > 0) {
+    await refreshWalletPasses({ event: { $in: remaining.map((event) => event._id) } });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      series,
+      created: created.length,
+      updated: remaining.length,
+      removed: removed.length,
+      // Occurrences the new rule dropped but that already sold tickets, cancel them individually
+      kept: kept.map((event) => ({ id: event._id, start: event.dateTime.start })),
+      // Occurrences with sales (or too few seats) that kept their tiers and seat map, edit them individually
+      inventoryKept: inventoryKept.map((event) => ({ id: event._id, start: event.dateTime.start })),
+      // Approved occurrences whose changes wait for an admin
+      pendingReview: reviewedChanges ? pendingReview.map((event) => ({ id: event._id, start: event.dateTime.start })) : []
+    }
+  });
+});
+
+// Apply an occurrence edit to the later occurrences of its series and to the series template.
+// Time changes move every later occurrence by the same amount, the ones with tickets are
+// rescheduled so their holders can ask for a refund. The series start (and so its rule) and the
+// slots of the moved occurrences follow, so later series updates do not recreate the old times. Tier and seat map changes skip the
+// occurrences that already have sales, and a manager's changes to what attendees see of
+// approved occurrences wait for an admin
+exports.updateFutureOccurrences = async (event, changes, shiftMs, user) => {
+  const fields = pickTemplateFields(changes);
+  delete fields.capacity;
+
+  const seriesUpdate = {};
+  Object.keys(fields).forEach((key) => {
+    seriesUpdate[`template.${key}`] = fields[key];
+  });
+  if (changes.title) {
+    fields.title = changes.title;
+    seriesUpdate.title = changes.title;
+  }
+  if (shiftMs) {
+    const series = await EventSeries.findById(event.series).select('startsAt');
+    seriesUpdate.startsAt = new Date(series.startsAt.getTime() + shiftMs);
+  }
+  if (Object.keys(seriesUpdate).length > 0) {
+    await EventSeries.updateOne({ _id: event.series }, { $set: seriesUpdate });
+  }
+
+  const later = await Event.find({
+    series: event.series,
+    occurrenceDate: { $gt: event.occurrenceDate },
+    status: { $ne: 'cancelled' }
+  }).select('dateTime capacity status');
+
+  const hasTickets = shiftMs ? await ticketedEvents(later) : () => false;
+
+  const { shared, inventory } = splitInventory(fields);
+  const reviewedChanges = Object.keys(splitReviewedChanges(shared).queued).length > 0;
+  let rescheduled = 0;
+  let pendingReview = 0;
+  for (const occurrence of later) {
+    const needsReview = editNeedsReview(occurrence, user);
+    const update = needsReview ? approvedUpdate(shared, user) : { ...shared };
+    if (needsReview && reviewedChanges) pendingReview += 1;
+    const dateTime = shiftMs && {
+      start: new Date(occurrence.dateTime.start.getTime() + shiftMs),
+      end: new Date(occurrence.dateTime.end.getTime() + shiftMs)
+    };
+    if (dateTime && !hasTickets(occurrence)) update.dateTime = dateTime;
+    await Event.updateOne({ _id: occurrence._id }, update);
+    if (Object.keys(inventory).length > 0 && takesInventory(occurrence, inventory)) {
+      await applyInventory([occurrence._id], inventory);
+    }
+    if (dateTime && hasTickets(occurrence)) {
+      const moving = await Event.findById(occurrence._id);
+      await moveEvent(moving, dateTime, { reason: 'The event series schedule changed', by: user._id });
+      rescheduled += 1;
+    }
+  }
+
+  if (shiftMs) {
+    await Event.updateMany(
+      { series: event.series, occurrenceDate: { $gte: event.occurrenceDate } },
+      [{ $set: { occurrenceDate: { $add: ['$occurrenceDate', shiftMs] } } }]
+    );
+  }
+
+  if (later.length > 0) {
+    await refreshWalletPasses({ event: { $in: later.map((occurrence) => occurrence._id) } });
+  }
+  return { updated: later.length, rescheduled, pendingReview };
+};
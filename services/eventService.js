@@ -2,11 +2,15 @@ const asyncHandler = require('express-async-handler');
 const { v4: uuidv4 } = require('uuid');
 const sharp = require('sharp');
 
-const factory = require('./handlersFactory');
 const ApiError = require('../utils/apiError');
 const { uploadMixOfImages } = require('../middlewares/uploadImageMiddleware');
 const Event = require('../models/eventModel');
 const Ticket = require('../models/ticketModel');
+const Hold = require('../models/holdModel');
+const { buildInventoryUpdate, inventoryUnchanged } = require('./bookingService');
+const { refreshWalletPasses } = require('./walletPassService');
+const { updateFutureOccurrences } = require('./eventSeriesService');
+const { editNeedsReview, splitReviewedChanges, queueChangesUpdate } = require('./eventWorkflowService');
 const fs = require('fs-extra');
 const path = require('path');
 const uploadsDir = path.join(__dirname, '../uploads/events');
@@ -74,6 +78,9 @@ exports.getEvents = asyncHandler(async (req, res, next) => {
     if (req.query.status) {
       filter.status = req.query.status;
     }
+    if (req.query.pendingReview === 'true') {
+      filter['pendingChanges.requestedAt'] = { $exists: true };
+    }
   } else {
     filter.status = 'published';
   }
@@ -148,19 +155,149 @@ exports.getEvent = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Get live seat availability for an event
+// GET /api/v1/events/:id/seats
+// Private
+exports.getEventSeats = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const event = id.match(/^[0-9a-fA-F]{24}$/)
+    ? await Event.findById(id)
+    : await Event.findOne({ slug: id });
+  
+  if (!event) {
+    return next(new ApiError(`No event found for this id/slug ${id}`, 404));
+  }
+  
+  if (!event.hasSeatMap()) {
+    return next(new ApiError('This event does not have a seat map', 404));
+  }
+  
+  const bookedTickets = await Ticket.find({
+    event: event._id,
+    status: { $in: ['pending', 'active', 'used'] },
+    'seatInfo.seatNumber': { $exists: true }
+  }).select('seatInfo.seatNumber');
+  const bookedSeats = new Set(bookedTickets.map((ticket) => ticket.seatInfo.seatNumber));
+  
+  const activeHolds = await Hold.find({
+    event: event._id,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  }).select('seats');
+  const heldSeats = new Set(activeHolds.flatMap((hold) => hold.seats));
+  
+  const seatStatus = (seat) => {
+    if (seat.isBlocked) return 'blocked';
+    if (bookedSeats.has(seat.label)) return 'booked';
+    if (heldSeats.has(seat.label)) return 'held';
+    return 'available';
+  };
+  
+  const summary = { total: 0, available: 0, booked: 0, held: 0, blocked: 0, accessibleAvailable: 0 };
+  const sections = event.seatMap.sections.map((section) => ({
+    name: section.name,
+    rows: section.rows.map((row) => ({
+      label: row.label,
+      seats: row.seats.map((seat) => {
+        const status = seatStatus(seat);
+        summary.total += 1;
+        summary[status] += 1;
+        if (status === 'available' && seat.isAccessible) summary.accessibleAvailable += 1;
+        return {
+          seatNumber: seat.label,
+          status,
+          isAccessible: seat.isAccessible
+        };
+      })
+    }))
+  }));
+  
+  res.status(200).json({
+    status: 'success',
+    summary,
+    data: sections
+  });
+});
+
 // Create event
 // POST /api/v1/events
 // Private/Admin-Manager
 exports.createEvent = asyncHandler(async (req, res, next) => {
-  req.body.organizer = req.user._id;
-  const event = await Event.create(req.body);
+  const { status, publishAt, statusHistory, ...fields } = req.body;
+  fields.organizer = req.user._id;
+  // New events start as drafts and go live through the editorial workflow
+  const event = await Event.create(fields);
   res.status(201).json({ data: event });
 });
 
-// Update specific event
+// Update specific event.
+// For an occurrence of a series, scope 'future' also applies the edit to every later occurrence.
+// A manager's edits to what attendees see of an approved (scheduled or published) event wait for an admin,
+// the event stays live with its current content meanwhile
 // PUT /api/v1/events/:id
 // Private/Admin-Manager
-exports.updateEvent = factory.updateOne(Event);
+exports.updateEvent = asyncHandler(async (req, res, next) => {
+  const { scope, ...changes } = req.body;
+  if (changes.status === 'cancelled') {
+    return next(new ApiError('Use POST /api/v1/events/:id/cancel to cancel an event', 400));
+  }
+  if (changes.status !== undefined || changes.publishAt !== undefined || changes.statusHistory !== undefined) {
+    return next(new ApiError('Use PATCH /api/v1/events/:id/status to move an event through the workflow', 400));
+  }
+
+  const previous = await Event.findById(req.params.id).select('dateTime series capacity ticketTypes status');
+  if (!previous) {
+    return next(new ApiError(`No event found for this id ${req.params.id}`, 404));
+  }
+
+  // Ticket holders get to confirm or get a refund when an event they bought moves
+  if (changes.dateTime) {
+    const soldTickets = await Ticket.countDocuments({ event: previous._id, status: { $in: ['active', 'pending'] } });
+    if (soldTickets > 0) {
+      return next(new ApiError('This event has tickets, use POST /api/v1/events/:id/reschedule to change its dates', 400));
+    }
+  }
+
+  const { direct, queued } = editNeedsReview(previous, req.user)
+    ? splitReviewedChanges(changes)
+    : { direct: changes, queued: {} };
+  const pendingReview = Object.keys(queued);
+
+  // Tier and seat edits keep the sales counters, and only apply if no booking came in meanwhile
+  const filter = { _id: previous._id };
+  let update = direct;
+  if (direct.ticketTypes || direct.capacity) {
+    const { ticketTypes, capacity, ...rest } = direct;
+    update = { ...rest, ...buildInventoryUpdate(previous, { ticketTypes, capacity }) };
+    Object.assign(filter, inventoryUnchanged(previous));
+  }
+  if (pendingReview.length > 0) {
+    filter.status = previous.status;
+    update = { ...update, ...queueChangesUpdate(queued, req.user) };
+  }
+  const event = await Event.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+  if (!event) {
+    return next(new ApiError('The event changed while you were editing (tickets sold or its status moved), reload it and try again', 409));
+  }
+  
+  // Wallet passes show the title, time and venue
+  if (direct.title || direct.dateTime || direct.venue) {
+    await refreshWalletPasses({ event: event._id });
+  }
+
+  let futureOccurrences;
+  if (scope === 'future' && event.series) {
+    const shiftMs = event.dateTime.start.getTime() - previous.dateTime.start.getTime();
+    futureOccurrences = await updateFutureOccurrences(event, changes, shiftMs, req.user);
+  }
+  
+  res.status(200).json({
+    data: event,
+    // Fields waiting for an admin before attendees see them
+    pendingReview: pendingReview.length > 0 ? pendingReview : undefined,
+    futureOccurrences
+  });
+});
 
 // Delete specific event
 // DELETE /api/v1/events/:id
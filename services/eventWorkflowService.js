@@ -0,0 +1,199 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const sendEmail = require('../utils/sendEmail');
+const Event = require('../models/eventModel');
+const { refreshWalletPasses } = require('./walletPassService');
+
+// Status moves of the editorial workflow and who can make them: 'organizer' is the
+// event's manager (admins can do anything they can), 'admin' needs an admin.
+// Managers submit drafts for review, admins approve them for now or for `publishAt`.
+// Cancelling goes through POST /events/:id/cancel instead
+const STATUS_TRANSITIONS = {
+  draft: { in_review: 'organizer', scheduled: 'admin', published: 'admin' },
+  in_review: { draft: 'organizer', scheduled: 'admin', published: 'admin' },
+  scheduled: { draft: 'organizer', published: 'admin' },
+  published: { completed: 'organizer' },
+  cancelled: {},
+  completed: {}
+};
+
+// What attendees see of an event. A manager's edits to these fields of an approved event
+// wait in `pendingChanges` for an admin, the event itself stays live meanwhile
+const REVIEWED_FIELDS = [
+  'title',
+  'description',
+  'shortDescription',
+  'category',
+  'coverImage',
+  'venue',
+  'tags',
+  'features',
+  'ageRestriction',
+  'socialLinks'
+];
+
+// Whether a user's edits to the reviewed fields of an event have to wait for an admin
+exports.editNeedsReview = (event, user) =>
+  user.role !== 'admin' && ['scheduled', 'published'].includes(event.status);
+
+// Split an edit into the changes that apply now and the reviewed ones
+exports.splitReviewedChanges = (changes) => {
+  const direct = { ...changes };
+  const queued = {};
+  REVIEWED_FIELDS.forEach((key) => {
+    if (direct[key] === undefined) return;
+    queued[key] = direct[key];
+    delete direct[key];
+  });
+  return { direct, queued };
+};
+
+// Update paths that add reviewed changes to the ones already waiting for an admin
+exports.queueChangesUpdate = (queued, user) => {
+  const update = {};
+  Object.keys(queued).forEach((key) => {
+    update[`pendingChanges.changes.${key}`] = queued[key];
+  });
+  update['pendingChanges.requestedBy'] = user._id;
+  update['pendingChanges.requestedAt'] = new Date();
+  return update;
+};
+
+// Tell the organizer an admin approved or sent back their event
+const notifyOrganizer = async (event, change) => {
+  const populated = await event.populate('organizer', 'name email');
+  const outcome = {
+    draft: 'was sent back to draft',
+    scheduled: `was approved and goes live on ${event.publishAt && event.publishAt.toUTCString()}`,
+    published: 'was approved and is now live'
+  }[change.to];
+
+  await sendEmail({
+    email: populated.organizer.email,
+    subject: `Your event ${event.title} ${outcome}`,
+    message: `Hi ${populated.organizer.name},\n Your event "${event.title}" ${outcome}.${change.note ? ` \n Note from the reviewer: ${change.note}` : ''} \n The Events Team`
+  });
+};
+
+// Move an event to another status of the workflow
+// PATCH /api/v1/events/:id/status
+// Private/Admin-Manager
+exports.changeEventStatus = asyncHandler(async (req, res, next) => {
+  const { status, note } = req.body;
+
+  const event = await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ApiError(`No event found for this id ${req.params.id}`, 404));
+  }
+  const isAdmin = req.user.role === 'admin';
+  if (!isAdmin && event.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only manage your own events', 403));
+  }
+
+  const from = event.status;
+  const requiredRole = STATUS_TRANSITIONS[from][status];
+  if (!requiredRole) {
+    return next(new ApiError(`An event cannot move from ${from} to ${status}`, 400));
+  }
+  if (requiredRole === 'admin' && !isAdmin) {
+    return next(new ApiError(`Only an admin can move an event from ${from} to ${status}`, 403));
+  }
+
+  const update = { status };
+  if (req.body.publishAt) update.publishAt = new Date(req.body.publishAt);
+  if (status === 'scheduled') {
+    const publishAt = update.publishAt || event.publishAt;
+    if (!publishAt || publishAt <= new Date()) {
+      return next(new ApiError('Scheduled events need a publish date in the future', 400));
+    }
+    update.publishAt = publishAt;
+  }
+  if (status === 'published') update.publishAt = new Date();
+  if (status === 'completed' && event.dateTime.end > new Date()) {
+    return next(new ApiError('An event can only be completed once it has ended', 400));
+  }
+
+  // Only apply the move if nobody changed the status in the meantime
+  const change = { from, to: status, by: req.user._id, note, at: new Date() };
+  const updatedEvent = await Event.findOneAndUpdate(
+    { _id: event._id, status: from },
+    { ...update, $push: { statusHistory: change } },
+    { new: true }
+  );
+  if (!updatedEvent) {
+    return next(new ApiError('The event status changed in the meantime, reload it and try again', 409));
+  }
+
+  // Organizers hear about the decisions an admin took on their event
+  const decided = ['draft', 'scheduled', 'published'].includes(status);
+  if (decided && updatedEvent.organizer.toString() !== req.user._id.toString()) {
+    await notifyOrganizer(updatedEvent, change);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `Event moved from ${from} to ${status}`,
+    data: updatedEvent
+  });
+});
+
+// Apply or drop the edits a manager made to an approved event
+// PATCH /api/v1/events/:id/pending-changes
+// Private/Admin
+exports.reviewPendingChanges = asyncHandler(async (req, res, next) => {
+  const { decision, note } = req.body;
+
+  const event = await Event.findById(req.params.id).populate('organizer', 'name email');
+  if (!event) {
+    return next(new ApiError(`No event found for this id ${req.params.id}`, 404));
+  }
+  if (!event.pendingChanges || !event.pendingChanges.changes) {
+    return next(new ApiError('This event has no changes waiting for review', 400));
+  }
+
+  const { changes, requestedAt } = event.pendingChanges;
+  const update = { $unset: { pendingChanges: 1 } };
+  if (decision === 'approve') Object.assign(update, changes);
+
+  // Only settle the changes that were reviewed, not ones queued in the meantime
+  const updatedEvent = await Event.findOneAndUpdate(
+    { _id: event._id, 'pendingChanges.requestedAt': requestedAt },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!updatedEvent) {
+    return next(new ApiError('More changes were queued in the meantime, reload the event and try again', 409));
+  }
+
+  // Wallet passes show the title and venue
+  if (decision === 'approve' && (changes.title || changes.venue)) {
+    await refreshWalletPasses({ event: event._id });
+  }
+
+  const outcome = decision === 'approve' ? 'were approved and are now live' : 'were not approved';
+  await sendEmail({
+    email: event.organizer.email,
+    subject: `Your changes to ${event.title} ${outcome}`,
+    message: `Hi ${event.organizer.name},\n Your changes to "${event.title}" (${Object.keys(changes).join(', ')}) ${outcome}.${note ? ` \n Note from the reviewer: ${note}` : ''} \n The Events Team`
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: `Changes ${decision === 'approve' ? 'approved' : 'rejected'}`,
+    data: updatedEvent
+  });
+});
+
+// Publish the scheduled events whose publish date has come
+exports.publishScheduledEvents = async () => {
+  const due = await Event.find({ status: 'scheduled', publishAt: { $lte: new Date() } }).select('_id').limit(100);
+  for (const { _id } of due) {
+    await Event.updateOne(
+      { _id, status: 'scheduled' },
+      {
+        status: 'published',
+        $push: { statusHistory: { from: 'scheduled', to: 'published', note: 'Scheduled publishing', at: new Date() } }
+      }
+    );
+  }
+};
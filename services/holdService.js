@@ -0,0 +1,137 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const Event = require('../models/eventModel');
+const Hold = require('../models/holdModel');
+const {
+  runInTransaction,
+  assertEventBookable,
+  assertSeatsAvailable,
+  resolveSeatInfo,
+  resolveTicketType,
+  holdSeats,
+  releaseHeldSeats
+} = require('./bookingService');
+const { handleReleasedHold } = require('./waitlistService');
+
+const DEFAULT_HOLD_MINUTES = 10;
+
+// Release an active hold and give its seats back to the event
+const releaseHold = (hold, status) =>
+  runInTransaction(async (session) => {
+    const released = await Hold.findOneAndUpdate(
+      { _id: hold._id, status: 'active' },
+      { status, releasedAt: new Date() },
+      { new: true, session }
+    );
+    if (!released) return null;
+
+    await releaseHeldSeats(hold.event, hold.quantity, session, hold.ticketType && hold.ticketType.typeId);
+    return released;
+  });
+
+// Hold seats while the user completes checkout
+// POST /api/v1/events/:eventId/holds
+// Private/User
+exports.createHold = asyncHandler(async (req, res, next) => {
+  const { eventId } = req.params;
+  const { seats = [], ticketTypeId } = req.body;
+  const minutes = req.body.minutes * 1 || DEFAULT_HOLD_MINUTES;
+  const quantity = seats.length || req.body.quantity * 1;
+
+  if (!quantity) {
+    return next(new ApiError('Choose seats or a quantity to hold', 400));
+  }
+
+  // 1) Get event and check availability
+  const event = await Event.findById(eventId);
+  assertEventBookable(event, quantity);
+  const ticketType = resolveTicketType(event, ticketTypeId, quantity);
+
+  // 2) Check requested seats
+  if (event.hasSeatMap() && seats.length === 0) {
+    return next(new ApiError('Choose the seats to hold for this event', 400));
+  }
+  if (new Set(seats).size !== seats.length) {
+    return next(new ApiError('The same seat cannot be held twice', 400));
+  }
+  const seatNumbers = seats.map((seatNumber) => resolveSeatInfo(event, { seatNumber }).seatNumber);
+
+  // 3) Take the seats and create the hold as one transaction
+  const hold = await runInTransaction(async (session) => {
+    await holdSeats(eventId, quantity, session, ticketType);
+    await assertSeatsAvailable(eventId, seatNumbers, session);
+
+    const [newHold] = await Hold.create([{
+      event: eventId,
+      user: req.user._id,
+      ticketType: ticketType ? { typeId: ticketType._id, name: ticketType.name } : undefined,
+      seats: seatNumbers,
+      quantity,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    }], { session });
+
+    return newHold;
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: `Seats held for ${minutes} minutes`,
+    data: hold
+  });
+});
+
+// Get user's active holds for an event
+// GET /api/v1/events/:eventId/holds
+// Private/User
+exports.getMyHolds = asyncHandler(async (req, res, next) => {
+  const holds = await Hold.find({
+    event: req.params.eventId,
+    user: req.user._id,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  }).sort('expiresAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: holds.length,
+    data: holds
+  });
+});
+
+// Release a hold before it expires
+// DELETE /api/v1/events/:eventId/holds/:id
+// Private/User
+exports.deleteHold = asyncHandler(async (req, res, next) => {
+  const hold = await Hold.findOne({ _id: req.params.id, event: req.params.eventId });
+
+  if (!hold) {
+    return next(new ApiError(`No hold found for this id ${req.params.id}`, 404));
+  }
+
+  if (hold.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return next(new ApiError('You can only release your own holds', 403));
+  }
+
+  if (hold.status !== 'active') {
+    return next(new ApiError('This hold is no longer active', 400));
+  }
+
+  const released = await releaseHold(hold, 'released');
+  if (released) await handleReleasedHold(released, 'cancelled');
+  res.status(204).send();
+});
+
+// Release every hold past its expiry (run by the background job)
+exports.releaseExpiredHolds = async () => {
+  const expiredHolds = await Hold.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  }).limit(100);
+
+  for (const hold of expiredHolds) {
+    const released = await releaseHold(hold, 'expired');
+    if (released) await handleReleasedHold(released, 'expired');
+  }
+
+  return expiredHolds.length;
+};
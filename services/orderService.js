@@ -0,0 +1,239 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const Event = require('../models/eventModel');
+const Order = require('../models/orderModel');
+const {
+  runInTransaction,
+  assertEventBookable,
+  assertSeatsAvailable,
+  resolveSeatInfo,
+  resolveTicketType,
+  reserveSeats,
+  findActiveHold,
+  convertHold,
+  assertSeatsMatchHold,
+  calculateTicketPricing,
+  buildPaymentInfo,
+  requiresOnlinePayment,
+  createTicket,
+  attachQRCode
+} = require('./bookingService');
+const { preparePromoCode, applyPromoDiscount, redeemPromoCode } = require('./promoCodeService');
+const { chargeBooking } = require('./paymentService');
+
+// Create order (book several tickets in one checkout)
+// POST /api/v1/orders
+// Private/User
+exports.createOrder = asyncHandler(async (req, res, next) => {
+  const { eventId, holdId, paymentMethod, paymentMethodId, tickets: items } = req.body;
+  const quantity = items.length;
+
+  // 1) Get event and check availability for the whole order (a hold already set the seats aside)
+  const event = await Event.findById(eventId);
+  const hold = holdId ? await findActiveHold(holdId, req.user._id, eventId) : null;
+  assertEventBookable(event, hold ? 0 : quantity);
+
+  // 2) Check requested seats are distinct
+  const seatNumbers = items.map((item) => item.seatNumber);
+  if (new Set(seatNumbers).size !== seatNumbers.length) {
+    return next(new ApiError('The same seat cannot be booked twice in one order', 400));
+  }
+
+  // 3) Resolve ticket tiers and price every ticket
+  const holdTypeId = hold && hold.ticketType && hold.ticketType.typeId;
+  const tierKey = (item) => String((hold ? holdTypeId : item.ticketTypeId) || '');
+  const tierCounts = items.reduce((counts, item) => {
+    const key = tierKey(item);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+  const ticketTypes = {};
+  Object.keys(tierCounts).forEach((key) => {
+    ticketTypes[key] = resolveTicketType(event, key || undefined, tierCounts[key], !hold);
+  });
+
+  const promo = req.body.promoCode
+    ? await preparePromoCode(req.body.promoCode, { event, user: req.user, quantity })
+    : null;
+
+  const lines = items.map((item) => {
+    const ticketType = ticketTypes[tierKey(item)];
+    return {
+      item,
+      ticketType,
+      seatInfo: resolveSeatInfo(event, item),
+      pricing: applyPromoDiscount(promo, calculateTicketPricing(event, ticketType))
+    };
+  });
+
+  if (hold) assertSeatsMatchHold(hold, lines.map((line) => line.seatInfo.seatNumber));
+
+  const currencies = new Set(lines.map((line) => line.pricing.currency));
+  if (currencies.size > 1) {
+    return next(new ApiError('All tickets in one order must use the same currency', 400));
+  }
+
+  const orderPricing = lines.reduce(
+    (totals, line) => ({
+      subtotal: totals.subtotal + line.pricing.originalPrice,
+      discount: totals.discount + line.pricing.discount,
+      total: totals.total + line.pricing.finalPrice,
+      currency: line.pricing.currency,
+      promoCode: totals.promoCode
+    }),
+    { subtotal: 0, discount: 0, total: 0, promoCode: promo ? promo.code : undefined }
+  );
+  const payOnline = requiresOnlinePayment(paymentMethod, orderPricing.total);
+  const payment = buildPaymentInfo(paymentMethod, orderPricing.total);
+  const ticketStatus = payOnline ? 'pending' : 'active';
+  const metadata = {
+    source: 'web',
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  };
+
+  // 4) Reserve seats, create order and tickets as one transaction
+  const { order, tickets } = await runInTransaction(async (session) => {
+    if (hold) {
+      await convertHold(hold, session);
+    } else {
+      for (const key of Object.keys(tierCounts)) {
+        await reserveSeats(eventId, tierCounts[key], session, ticketTypes[key]);
+      }
+    }
+    await assertSeatsAvailable(eventId, seatNumbers, session, hold && hold._id);
+
+    const [newOrder] = await Order.create([{
+      user: req.user._id,
+      event: eventId,
+      quantity,
+      pricing: orderPricing,
+      payment,
+      status: payOnline ? 'pending' : 'confirmed',
+      metadata
+    }], { session });
+
+    const newTickets = [];
+    for (const { item, ticketType, seatInfo, pricing } of lines) {
+      const ticket = await createTicket({
+        event: eventId,
+        user: req.user._id,
+        order: newOrder._id,
+        attendeeInfo: item.attendeeInfo || {
+          name: req.user.name,
+          email: req.user.email,
+          phone: req.user.phone
+        },
+        ticketType: ticketType ? { typeId: ticketType._id, name: ticketType.name } : undefined,
+        seatInfo,
+        pricing,
+        payment,
+        status: ticketStatus,
+        metadata
+      }, session);
+      newTickets.push(ticket);
+    }
+
+    newOrder.tickets = newTickets.map((ticket) => ticket._id);
+    await newOrder.save({ session });
+
+    if (promo) {
+      await redeemPromoCode(promo, { user: req.user, event, order: newOrder, tickets: newTickets }, session);
+    }
+
+    return { order: newOrder, tickets: newTickets };
+  });
+
+  // 5) Collect the payment, the order stays pending until the provider confirms it
+  let paymentResult;
+  if (payOnline) {
+    paymentResult = await chargeBooking({
+      order,
+      tickets,
+      amount: orderPricing.total,
+      currency: orderPricing.currency,
+      paymentMethodId,
+      description: `${event.title} - ${order.orderNumber}`
+    });
+    if (paymentResult.status === 'failed') {
+      return next(new ApiError(`Payment failed: ${paymentResult.failureReason || 'the payment was declined'}`, 402));
+    }
+  }
+
+  // 6) Generate QR codes for every ticket
+  const qrCodes = await Promise.all(
+    tickets.map(async (ticket) => {
+      const qrCodeResult = await attachQRCode(ticket);
+      return {
+        ticket: ticket._id,
+        ticketNumber: ticket.ticketNumber,
+        data: ticket.qrCode.data,
+        image: qrCodeResult.filePath,
+        base64: qrCodeResult.base64
+      };
+    })
+  );
+
+  // 7) Populate order for response
+  const populatedOrder = await Order.findById(order._id)
+    .populate('event', 'title dateTime venue coverImage')
+    .populate('tickets');
+
+  res.status(201).json({
+    status: 'success',
+    message: populatedOrder.status === 'pending'
+      ? 'Order placed, complete the payment to confirm it'
+      : 'Order placed successfully',
+    data: populatedOrder,
+    qrCodes,
+    payment: paymentResult && {
+      id: paymentResult.id,
+      status: paymentResult.status,
+      clientSecret: paymentResult.clientSecret
+    }
+  });
+});
+
+// Get user's orders with their tickets
+// GET /api/v1/orders/my-orders
+// Private/User
+exports.getMyOrders = asyncHandler(async (req, res, next) => {
+  let filter = { user: req.user._id };
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const orders = await Order.find(filter)
+    .populate('event', 'title dateTime venue coverImage status')
+    .populate('tickets', 'ticketNumber attendeeInfo seatInfo pricing status qrCode checkIn')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: orders.length,
+    data: orders
+  });
+});
+
+// Get specific order
+// GET /api/v1/orders/:id
+// Private
+exports.getOrder = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.id)
+    .populate('event', 'title dateTime venue coverImage status')
+    .populate('tickets');
+
+  if (!order) {
+    return next(new ApiError(`No order found for this id ${req.params.id}`, 404));
+  }
+
+  if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return next(new ApiError('You are not authorized to access this order', 403));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: order
+  });
+});
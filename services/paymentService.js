@@ -0,0 +1,510 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const Ticket = require('../models/ticketModel');
+const Order = require('../models/orderModel');
+const PaymentEvent = require('../models/paymentEventModel');
+const ResaleListing = require('../models/resaleListingModel');
+const factory = require('./handlersFactory');
+const stripeProvider = require('../utils/paymentProviders/stripeProvider');
+const fakeProvider = require('../utils/paymentProviders/fakeProvider');
+const { runInTransaction, releaseSeats } = require('./bookingService');
+const { offerFreedSeats } = require('./waitlistService');
+const { revokePromoRedemptions } = require('./promoCodeService');
+
+// Every provider implements createPayment, retrievePayment, cancelPayment, refund and parseWebhook,
+// and reports payments as { id, status: pending|completed|failed, amount, currency, clientSecret }
+const providers = {
+  stripe: stripeProvider,
+  fake: fakeProvider
+};
+
+const PAYMENT_TIMEOUT_MINUTES = 30;
+
+// Payment status moves a provider report is allowed to make
+const PAYMENT_TRANSITIONS = {
+  pending: ['completed', 'failed'],
+  completed: ['refunded'],
+  partially_refunded: ['refunded'],
+  failed: [],
+  refunded: []
+};
+
+// Statuses of a booking the buyer has (at least partly) paid for
+const PAID_STATUSES = ['completed', 'partially_refunded'];
+
+// Name of the configured payment provider
+const getProviderName = () => process.env.PAYMENT_PROVIDER || 'stripe';
+
+// Get a payment provider by name (defaults to the configured one)
+const getProvider = (name = getProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new ApiError(`Unknown payment provider ${name}`, 500);
+  }
+  return provider;
+};
+
+exports.getProviderName = getProviderName;
+exports.getProvider = getProvider;
+
+// Give the seats of tickets that are no longer valid back to the event
+const releaseTickets = async (tickets, session) => {
+  const tierCounts = tickets.reduce((counts, ticket) => {
+    const key = String((ticket.ticketType && ticket.ticketType.typeId) || '');
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+  for (const key of Object.keys(tierCounts)) {
+    await releaseSeats(tickets[0].event, tierCounts[key], session, key || undefined);
+  }
+};
+
+// Offer the seats of released tickets to the waitlist
+const offerReleasedSeats = async (tickets) => {
+  const byTier = {};
+  tickets.forEach((ticket) => {
+    const key = String((ticket.ticketType && ticket.ticketType.typeId) || '');
+    byTier[key] = byTier[key] || [];
+    if (ticket.seatInfo.seatNumber) byTier[key].push(ticket.seatInfo.seatNumber);
+  });
+  for (const key of Object.keys(byTier)) {
+    await offerFreedSeats(tickets[0].event, { ticketTypeId: key || undefined, seats: byTier[key] });
+  }
+};
+
+// Resale purchases take over the seat of a listed ticket instead of selling a new one.
+// The listed ticket is retired before the new one becomes active so the seat never has two owners
+const settleResales = async (tickets, completed, session) => {
+  for (const ticket of tickets) {
+    if (completed) {
+      await Ticket.updateOne({ _id: ticket.resaleOf, status: 'active' }, { status: 'resold' }, { session });
+      await ResaleListing.updateOne(
+        { ticket: ticket.resaleOf, status: 'reserved' },
+        { status: 'sold', soldAt: new Date(), newTicket: ticket._id },
+        { session }
+      );
+    } else {
+      // Put the listing back on sale
+      await ResaleListing.updateOne(
+        { ticket: ticket.resaleOf, status: 'reserved', buyer: ticket.user },
+        { status: 'active', $unset: { buyer: 1, reservedAt: 1 } },
+        { session }
+      );
+    }
+  }
+};
+
+// Move the pending tickets (and order) of a booking to their final state once the
+// payment settles. A failed payment gives the seats and any promo code use back
+const settleBooking = async ({ orderId, ticketIds }, payment) => {
+  if (payment.status === 'pending') return [];
+  const completed = payment.status === 'completed';
+
+  const settledTickets = await runInTransaction(async (session) => {
+    const tickets = await Ticket.find({ _id: { $in: ticketIds }, status: 'pending' }).session(session);
+    if (tickets.length === 0) return [];
+
+    const resaleTickets = tickets.filter((ticket) => ticket.resaleOf);
+    if (resaleTickets.length > 0) {
+      await settleResales(resaleTickets, completed, session);
+    }
+
+    const ticketUpdate = completed
+      ? { status: 'active', 'payment.paymentStatus': 'completed', 'payment.paidAt': new Date() }
+      : { status: 'cancelled', 'payment.paymentStatus': 'failed' };
+    await Ticket.updateMany(
+      { _id: { $in: tickets.map((ticket) => ticket._id) }, status: 'pending' },
+      ticketUpdate,
+      { session }
+    );
+
+    if (orderId) {
+      const orderUpdate = completed
+        ? { status: 'confirmed', 'payment.paymentStatus': 'completed', 'payment.paidAt': new Date() }
+        : { status: 'cancelled', 'payment.paymentStatus': 'failed' };
+      await Order.updateOne({ _id: orderId, status: 'pending' }, orderUpdate, { session });
+    }
+
+    // Seats of failed resale purchases stay with the seller
+    const releasedTickets = tickets.filter((ticket) => !ticket.resaleOf);
+    if (!completed && releasedTickets.length > 0) {
+      await releaseTickets(releasedTickets, session);
+      await revokePromoRedemptions(releasedTickets, session);
+    }
+
+    return tickets;
+  });
+
+  const releasedTickets = settledTickets.filter((ticket) => !ticket.resaleOf);
+  if (!completed && releasedTickets.length > 0) {
+    await offerReleasedSeats(releasedTickets);
+  }
+  return settledTickets;
+};
+
+// Mark a paid booking as refunded by the provider and cancel its unused tickets
+const refundBooking = async ({ orderId, ticketIds }) => {
+  const releasedTickets = await runInTransaction(async (session) => {
+    const tickets = await Ticket.find({
+      _id: { $in: ticketIds },
+      'payment.paymentStatus': { $in: PAID_STATUSES }
+    }).session(session);
+    if (tickets.length === 0) return [];
+
+    const activeTickets = tickets.filter((ticket) => ticket.status === 'active');
+    await Ticket.updateMany(
+      { _id: { $in: tickets.map((ticket) => ticket._id) }, 'payment.paymentStatus': { $in: PAID_STATUSES } },
+      { 'payment.paymentStatus': 'refunded', 'payment.refundedAt': new Date() },
+      { session }
+    );
+    await Ticket.updateMany(
+      { _id: { $in: activeTickets.map((ticket) => ticket._id) }, status: 'active' },
+      { status: 'cancelled' },
+      { session }
+    );
+
+    if (orderId) {
+      await Order.updateOne(
+        { _id: orderId, 'payment.paymentStatus': { $in: PAID_STATUSES } },
+        { status: 'cancelled', 'payment.paymentStatus': 'refunded' },
+        { session }
+      );
+    }
+
+    if (activeTickets.length > 0) {
+      await releaseTickets(activeTickets, session);
+    }
+    return activeTickets;
+  });
+
+  if (releasedTickets.length > 0) {
+    await offerReleasedSeats(releasedTickets);
+  }
+};
+
+// Money arrived for a booking that was already given up on, hand it back
+const refundLatePayment = async (provider, transactionId, { orderId, ticketIds }) => {
+  await getProvider(provider).refund(transactionId);
+
+  await Ticket.updateMany(
+    { _id: { $in: ticketIds }, 'payment.paymentStatus': 'failed' },
+    { 'payment.paymentStatus': 'refunded', 'payment.refundedAt': new Date() }
+  );
+  if (orderId) {
+    await Order.updateOne(
+      { _id: orderId, 'payment.paymentStatus': 'failed' },
+      { 'payment.paymentStatus': 'refunded' }
+    );
+  }
+};
+
+// Apply a payment status reported by the provider to the booking it paid for.
+// Only the moves in PAYMENT_TRANSITIONS are applied, so replayed and
+// out-of-order reports are ignored
+exports.applyPaymentStatus = async (transactionId, payment) => {
+  const tickets = await Ticket.find({ 'payment.transactionId': transactionId }).select('order payment');
+  if (tickets.length === 0) {
+    return { applied: false, result: 'No booking found for this payment' };
+  }
+
+  // The tickets of an order can be refunded one by one, the order has the overall status
+  const order = tickets[0].order ? await Order.findById(tickets[0].order).select('payment') : null;
+  const { provider, paymentStatus: currentStatus } = (order || tickets[0]).payment;
+  const booking = {
+    orderId: tickets[0].order,
+    ticketIds: tickets.map((ticket) => ticket._id)
+  };
+
+  if (currentStatus === 'failed' && payment.status === 'completed') {
+    await refundLatePayment(provider, transactionId, booking);
+    return { applied: true, result: 'Late payment for a released booking was refunded' };
+  }
+
+  if (!PAYMENT_TRANSITIONS[currentStatus].includes(payment.status)) {
+    return { applied: false, result: `Payment is ${currentStatus}, ignored ${payment.status}` };
+  }
+
+  if (payment.status === 'refunded') {
+    await refundBooking(booking);
+  } else {
+    await settleBooking(booking, payment);
+  }
+  return { applied: true, result: `Payment moved from ${currentStatus} to ${payment.status}` };
+};
+
+// Charge the buyer for freshly booked pending tickets and apply the result
+exports.chargeBooking = async ({ order, tickets, amount, currency, paymentMethodId, description }) => {
+  const providerName = getProviderName();
+  const ticketIds = tickets.map((ticket) => ticket._id);
+  const orderId = order && order._id;
+
+  let payment;
+  try {
+    payment = await getProvider(providerName).createPayment({
+      amount,
+      currency,
+      paymentMethodId,
+      description,
+      metadata: {
+        orderId: orderId ? String(orderId) : '',
+        ticketIds: ticketIds.join(',')
+      }
+    });
+  } catch (error) {
+    // The provider could not take the payment, don't keep the seats
+    await settleBooking({ orderId, ticketIds }, { status: 'failed' });
+    throw error;
+  }
+
+  const paymentFields = {
+    'payment.provider': providerName,
+    'payment.transactionId': payment.id
+  };
+  await Ticket.updateMany({ _id: { $in: ticketIds } }, paymentFields);
+  if (orderId) {
+    await Order.updateOne({ _id: orderId }, paymentFields);
+  }
+
+  await settleBooking({ orderId, ticketIds }, payment);
+  return payment;
+};
+
+// Amount to refund for a ticket when `percentage` of its price is refundable,
+// minus what was already refunded. Unpaid tickets have nothing to refund
+exports.calculateRefund = (ticket, percentage) => {
+  if (!PAID_STATUSES.includes(ticket.payment.paymentStatus)) return 0;
+
+  const refundable = Math.round(ticket.pricing.finalPrice * percentage) / 100;
+  return Math.max(refundable - (ticket.payment.amountRefunded || 0), 0);
+};
+
+// Ticket update recording a refund of `amount`, `details` go on the refund record
+exports.buildRefundUpdate = (ticket, amount, details) => {
+  const fullyRefunded = ticket.payment.amountRefunded + amount >= ticket.pricing.finalPrice;
+  return {
+    'payment.paymentStatus': fullyRefunded ? 'refunded' : 'partially_refunded',
+    'payment.refundedAt': new Date(),
+    $inc: { 'payment.amountRefunded': amount },
+    $push: { 'payment.refunds': { amount, ...details } }
+  };
+};
+
+// Add a ticket refund to the refunded total of its order
+exports.recordOrderRefund = (orderId, amount, session) =>
+  Order.updateOne({ _id: orderId }, [
+    { $set: { 'payment.amountRefunded': { $add: [{ $ifNull: ['$payment.amountRefunded', 0] }, amount] } } },
+    {
+      $set: {
+        'payment.paymentStatus': {
+          $cond: [{ $gte: ['$payment.amountRefunded', '$pricing.total'] }, 'refunded', 'partially_refunded']
+        }
+      }
+    }
+  ], { session });
+
+// Send a refund recorded on a ticket to the payment provider.
+// Tickets paid without the provider (cash) keep the refund pending for the box office
+exports.issueRefund = async (ticket, refund) => {
+  if (!ticket.payment.transactionId) return refund;
+
+  const update = { 'payment.refunds.$.processedAt': new Date() };
+  try {
+    const result = await getProvider(ticket.payment.provider).refund(ticket.payment.transactionId, refund.amount);
+    update['payment.refunds.$.status'] = result.status;
+    update['payment.refunds.$.providerRefundId'] = result.id;
+  } catch (error) {
+    update['payment.refunds.$.status'] = 'failed';
+    update['payment.refunds.$.error'] = error.message;
+  }
+
+  const updated = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, 'payment.refunds._id': refund._id },
+    update,
+    { new: true }
+  );
+  return updated.payment.refunds.id(refund._id);
+};
+
+// Settle the pending bookings of the matching tickets with the provider, and fail the ones still unpaid
+const failPendingBookings = async (filter, limit) => {
+  let query = Ticket.find({ ...filter, status: 'pending' }).select('order payment');
+  if (limit) query = query.limit(limit);
+  const staleTickets = await query;
+
+  const bookings = {};
+  staleTickets.forEach((ticket) => {
+    const key = ticket.payment.transactionId || String(ticket._id);
+    bookings[key] = bookings[key] || {
+      transactionId: ticket.payment.transactionId,
+      provider: ticket.payment.provider,
+      orderId: ticket.order,
+      ticketIds: []
+    };
+    bookings[key].ticketIds.push(ticket._id);
+  });
+
+  for (const booking of Object.values(bookings)) {
+    try {
+      let payment = { status: 'failed' };
+      if (booking.transactionId) {
+        const provider = getProvider(booking.provider);
+        payment = await provider.retrievePayment(booking.transactionId);
+        if (payment.status === 'pending') {
+          payment = await provider.cancelPayment(booking.transactionId);
+        }
+      }
+      await settleBooking(booking, payment);
+    } catch (error) {
+      console.error(`Could not expire unpaid booking ${booking.transactionId || booking.ticketIds[0]}: ${error.message}`);
+    }
+  }
+};
+exports.failPendingBookings = failPendingBookings;
+
+// Fail bookings whose payment was never completed so their seats go back on sale
+exports.expireUnpaidBookings = () => {
+  const cutoff = new Date(Date.now() - PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+  return failPendingBookings({ createdAt: { $lt: cutoff } }, 100);
+};
+
+// Sync the payment of a booking with the payment provider
+// POST /api/v1/payments/:transactionId/sync
+// Private/User
+exports.syncPayment = asyncHandler(async (req, res, next) => {
+  const { transactionId } = req.params;
+
+  const ticket = await Ticket.findOne({ 'payment.transactionId': transactionId });
+  if (!ticket) {
+    return next(new ApiError(`No booking found for this payment ${transactionId}`, 404));
+  }
+
+  if (ticket.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return next(new ApiError('You are not authorized to access this payment', 403));
+  }
+
+  const payment = await getProvider(ticket.payment.provider).retrievePayment(transactionId);
+  const { result } = await exports.applyPaymentStatus(transactionId, payment);
+
+  const tickets = await Ticket.find({ 'payment.transactionId': transactionId })
+    .populate('event', 'title dateTime venue');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      payment: {
+        id: payment.id,
+        status: payment.status,
+        amount: payment.amount,
+        currency: payment.currency,
+        failureReason: payment.failureReason
+      },
+      result,
+      tickets
+    }
+  });
+});
+
+// Apply a stored webhook event and record the outcome on it
+const processPaymentEvent = async (paymentEvent) => {
+  paymentEvent.processing.attempts += 1;
+  try {
+    if (!paymentEvent.paymentId || !paymentEvent.paymentStatus) {
+      paymentEvent.processing.status = 'ignored';
+      paymentEvent.processing.result = 'Event type is not handled';
+    } else {
+      const { applied, result } = await exports.applyPaymentStatus(paymentEvent.paymentId, {
+        status: paymentEvent.paymentStatus
+      });
+      paymentEvent.processing.status = applied ? 'processed' : 'ignored';
+      paymentEvent.processing.result = result;
+    }
+    paymentEvent.processing.error = undefined;
+  } catch (error) {
+    paymentEvent.processing.status = 'failed';
+    paymentEvent.processing.error = error.message;
+  }
+  paymentEvent.processing.processedAt = new Date();
+  await paymentEvent.save();
+  return paymentEvent;
+};
+
+// Receive payment events from the payment provider
+// POST /api/v1/payments/webhook
+// Public (signed by the payment provider)
+exports.handlePaymentWebhook = asyncHandler(async (req, res, next) => {
+  const providerName = getProviderName();
+  const provider = getProvider(providerName);
+  const event = provider.parseWebhook(req.body, req.headers[provider.webhookSignatureHeader]);
+
+  // Providers deliver events at least once, only handle each one until it succeeds
+  let paymentEvent = await PaymentEvent.findOne({ provider: providerName, eventId: event.id });
+  if (paymentEvent && paymentEvent.processing.status !== 'failed') {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Event already received',
+      data: { eventId: event.id, processing: paymentEvent.processing.status }
+    });
+  }
+
+  if (!paymentEvent) {
+    try {
+      paymentEvent = await PaymentEvent.create({
+        provider: providerName,
+        eventId: event.id,
+        type: event.type,
+        paymentId: event.paymentId,
+        paymentStatus: event.status,
+        occurredAt: event.occurredAt,
+        payload: event.payload
+      });
+    } catch (error) {
+      // The same event is being handled by a parallel delivery
+      if (error.code === 11000) {
+        return res.status(200).json({
+          status: 'success',
+          message: 'Event already received',
+          data: { eventId: event.id }
+        });
+      }
+      throw error;
+    }
+  }
+
+  await processPaymentEvent(paymentEvent);
+  if (paymentEvent.processing.status === 'failed') {
+    // Let the provider retry the delivery
+    return next(new ApiError(`Could not process payment event: ${paymentEvent.processing.error}`, 500));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { eventId: event.id, processing: paymentEvent.processing.status }
+  });
+});
+
+// Get list of received payment events
+// GET /api/v1/payments/events
+// Private/Admin
+exports.getPaymentEvents = factory.getAll(PaymentEvent);
+
+// Get specific payment event
+// GET /api/v1/payments/events/:id
+// Private/Admin
+exports.getPaymentEvent = factory.getOne(PaymentEvent);
+
+// Process a stored payment event again
+// POST /api/v1/payments/events/:id/reprocess
+// Private/Admin
+exports.reprocessPaymentEvent = asyncHandler(async (req, res, next) => {
+  const paymentEvent = await PaymentEvent.findById(req.params.id);
+  if (!paymentEvent) {
+    return next(new ApiError(`No payment event found for this id ${req.params.id}`, 404));
+  }
+
+  await processPaymentEvent(paymentEvent);
+
+  res.status(200).json({
+    status: 'success',
+    data: paymentEvent
+  });
+});
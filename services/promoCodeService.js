@@ -0,0 +1,262 @@
+const asyncHandler = require('express-async-handler');
+const factory = require('./handlersFactory');
+const ApiError = require('../utils/apiError');
+const PromoCode = require('../models/promoCodeModel');
+const PromoRedemption = require('../models/promoRedemptionModel');
+
+// Load a promo code and check it can be used for this booking
+exports.preparePromoCode = async (code, { event, user, quantity }) => {
+  const promo = await PromoCode.findOne({ code: code.toUpperCase().trim() });
+  if (!promo || !promo.isActive) {
+    throw new ApiError('Invalid promo code', 400);
+  }
+
+  const currentDate = new Date();
+  if ((promo.validFrom && currentDate < promo.validFrom) ||
+      (promo.validUntil && currentDate > promo.validUntil)) {
+    throw new ApiError('This promo code is not valid at this time', 400);
+  }
+
+  const eventScoped = promo.events.length > 0;
+  const categoryScoped = promo.categories.length > 0;
+  const matchesEvent = promo.events.some((id) => id.toString() === event._id.toString());
+  const matchesCategory = promo.categories.some((id) => id.toString() === event.category.toString());
+  if ((eventScoped || categoryScoped) && !matchesEvent && !matchesCategory) {
+    throw new ApiError('This promo code does not apply to this event', 400);
+  }
+
+  if (quantity < promo.minQuantity) {
+    throw new ApiError(`This promo code requires at least ${promo.minQuantity} tickets`, 400);
+  }
+
+  if (promo.maxUses && promo.usedCount >= promo.maxUses) {
+    throw new ApiError('This promo code has reached its usage limit', 400);
+  }
+
+  if (promo.maxUsesPerUser) {
+    const userUses = await PromoRedemption.countDocuments({ promoCode: promo._id, user: user._id });
+    if (userUses >= promo.maxUsesPerUser) {
+      throw new ApiError('You have already used this promo code', 400);
+    }
+  }
+
+  return promo;
+};
+
+// Apply a promo code discount on top of a ticket price
+exports.applyPromoDiscount = (promo, pricing) => {
+  if (!promo) return pricing;
+
+  const promoDiscount = Math.min(
+    promo.discountType === 'percentage'
+      ? Math.round(pricing.finalPrice * promo.discountValue) / 100
+      : promo.discountValue,
+    pricing.finalPrice
+  );
+
+  return {
+    ...pricing,
+    finalPrice: pricing.finalPrice - promoDiscount,
+    discount: pricing.discount + promoDiscount,
+    promoCode: promo.code
+  };
+};
+
+// Record a promo code use inside the booking transaction, enforcing the usage caps
+exports.redeemPromoCode = async (promo, { user, event, order, tickets }, session) => {
+  const updated = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      $or: [
+        { maxUses: { $exists: false } },
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new ApiError('This promo code has reached its usage limit', 400);
+  }
+
+  if (promo.maxUsesPerUser) {
+    const userUses = await PromoRedemption.countDocuments({ promoCode: promo._id, user: user._id })
+      .session(session);
+    if (userUses >= promo.maxUsesPerUser) {
+      throw new ApiError('You have already used this promo code', 400);
+    }
+  }
+
+  const [redemption] = await PromoRedemption.create([{
+    promoCode: promo._id,
+    code: promo.code,
+    user: user._id,
+    event: event._id,
+    order: order && order._id,
+    tickets: tickets.map((ticket) => ticket._id),
+    quantity: tickets.length,
+    discount: tickets.reduce((sum, ticket) => sum + ticket.pricing.discount, 0),
+    revenue: tickets.reduce((sum, ticket) => sum + ticket.pricing.finalPrice, 0),
+    currency: tickets[0] && tickets[0].pricing.currency
+  }], { session });
+
+  return redemption;
+};
+
+// Give back the promo code uses of tickets that were never paid for
+exports.revokePromoRedemptions = async (tickets, session) => {
+  const redemptions = await PromoRedemption.find({
+    tickets: { $in: tickets.map((ticket) => ticket._id) }
+  }).session(session);
+
+  for (const redemption of redemptions) {
+    await PromoCode.updateOne(
+      { _id: redemption.promoCode, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+    await redemption.deleteOne({ session });
+  }
+};
+
+// Set the creator of a new promo code
+exports.setCreatedBy = (req, res, next) => {
+  req.body.createdBy = req.user._id;
+  next();
+};
+
+// Managers only list the promo codes they created, admins list them all
+exports.createFilterObj = (req, res, next) => {
+  req.filterObj = req.user.role === 'admin' ? {} : { createdBy: req.user._id };
+  next();
+};
+
+// Make sure a manager only reads or changes the promo codes they created
+exports.checkPromoCodeOwner = asyncHandler(async (req, res, next) => {
+  if (req.user.role === 'admin') return next();
+
+  const promo = await PromoCode.findById(req.params.id).select('createdBy');
+  if (!promo) {
+    return next(new ApiError(`No promo code found for this id ${req.params.id}`, 404));
+  }
+  if (!promo.createdBy || promo.createdBy.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only manage your own promo codes', 403));
+  }
+  next();
+});
+
+// Get list of promo codes
+// GET /api/v1/promo-codes
+// Private/Admin-Manager
+exports.getPromoCodes = factory.getAll(PromoCode);
+
+// Get specific promo code
+// GET /api/v1/promo-codes/:id
+// Private/Admin-Manager
+exports.getPromoCode = factory.getOne(PromoCode);
+
+// Create promo code
+// POST /api/v1/promo-codes
+// Private/Admin-Manager
+exports.createPromoCode = factory.createOne(PromoCode);
+
+// Update specific promo code
+// PUT /api/v1/promo-codes/:id
+// Private/Admin-Manager
+exports.updatePromoCode = factory.updateOne(PromoCode);
+
+// Delete specific promo code
+// DELETE /api/v1/promo-codes/:id
+// Private/Admin-Manager
+exports.deletePromoCode = factory.deleteOne(PromoCode);
+
+// Get redemptions and revenue impact of a promo code
+// GET /api/v1/promo-codes/:id/report
+// Private/Admin-Manager
+exports.getPromoCodeReport = asyncHandler(async (req, res, next) => {
+  const promo = await PromoCode.findById(req.params.id);
+  if (!promo) {
+    return next(new ApiError(`No promo code found for this id ${req.params.id}`, 404));
+  }
+
+  const summary = await PromoRedemption.aggregate([
+    { $match: { promoCode: promo._id } },
+    {
+      $group: {
+        _id: null,
+        redemptions: { $sum: 1 },
+        ticketsSold: { $sum: '$quantity' },
+        totalDiscount: { $sum: '$discount' },
+        revenue: { $sum: '$revenue' },
+        users: { $addToSet: '$user' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        redemptions: 1,
+        ticketsSold: 1,
+        totalDiscount: 1,
+        revenue: 1,
+        uniqueUsers: { $size: '$users' },
+        // Revenue the same tickets would have made without the code
+        grossRevenue: { $add: ['$revenue', '$totalDiscount'] }
+      }
+    }
+  ]);
+
+  const byEvent = await PromoRedemption.aggregate([
+    { $match: { promoCode: promo._id } },
+    {
+      $group: {
+        _id: '$event',
+        redemptions: { $sum: 1 },
+        ticketsSold: { $sum: '$quantity' },
+        totalDiscount: { $sum: '$discount' },
+        revenue: { $sum: '$revenue' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'events',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'eventDetails'
+      }
+    },
+    {
+      $project: {
+        redemptions: 1,
+        ticketsSold: 1,
+        totalDiscount: 1,
+        revenue: 1,
+        eventTitle: { $arrayElemAt: ['$eventDetails.title', 0] }
+      }
+    },
+    { $sort: { revenue: -1 } }
+  ]);
+
+  const redemptions = await PromoRedemption.find({ promoCode: promo._id })
+    .populate('user', 'name email')
+    .populate('event', 'title')
+    .sort('-createdAt')
+    .limit(req.query.limit * 1 || 50);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      promoCode: promo,
+      summary: summary[0] || {
+        redemptions: 0,
+        ticketsSold: 0,
+        totalDiscount: 0,
+        revenue: 0,
+        uniqueUsers: 0,
+        grossRevenue: 0
+      },
+      byEvent,
+      redemptions
+    }
+  });
+});
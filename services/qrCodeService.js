@@ -2,6 +2,7 @@
 const QRCode = require('qrcode');
 const fs = require('fs').promises;
 const path = require('path');
+const { verifyQRToken } = require('../utils/qrToken');
 
 // Ensure QR codes directory exists
 const ensureQRCodesDir = async () => {
@@ -85,13 +86,13 @@ exports.generateBatchQRCodes = async (dataArray) => {
   }
 };
 
-// Validate QR Code data
+// Validate QR Code data (signature and expiry of a ticket token)
 exports.validateQRCode = async (qrData) => {
   try {
-    const parsedData = JSON.parse(qrData);
+    const parsedData = verifyQRToken(qrData);
     
     // Basic validation
-    const requiredFields = ['ticketId', 'eventId', 'ticketNumber'];
+    const requiredFields = ['tid', 'eid', 'num'];
     const missingFields = requiredFields.filter(field => !parsedData[field]);
     
     if (missingFields.length > 0) {
@@ -109,7 +110,7 @@ exports.validateQRCode = async (qrData) => {
   } catch (error) {
     return {
       valid: false,
-      error: 'Invalid QR code format'
+      error: error.message
     };
   }
 };
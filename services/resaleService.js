@@ -0,0 +1,252 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const Ticket = require('../models/ticketModel');
+const Transfer = require('../models/transferModel');
+const ResaleListing = require('../models/resaleListingModel');
+const {
+  runInTransaction,
+  buildPaymentInfo,
+  createTicket,
+  attachQRCode
+} = require('./bookingService');
+const { chargeBooking } = require('./paymentService');
+
+const OPEN_STATUSES = ['active', 'reserved'];
+
+// Refuse changes to a ticket while it is on the resale marketplace
+exports.assertNotListed = async (ticket) => {
+  const listed = await ResaleListing.exists({ ticket: ticket._id, status: { $in: OPEN_STATUSES } });
+  if (listed) {
+    throw new ApiError('This ticket is listed for resale, remove the listing first', 400);
+  }
+};
+
+// List one of my tickets for resale
+// POST /api/v1/tickets/:id/resale
+// Private/User
+exports.createListing = asyncHandler(async (req, res, next) => {
+  const price = Number(req.body.price);
+
+  const ticket = await Ticket.findById(req.params.id).populate('event', 'title dateTime status resale');
+  if (!ticket) {
+    return next(new ApiError('Ticket not found', 404));
+  }
+
+  if (ticket.user.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only resell your own tickets', 403));
+  }
+
+  if (ticket.status !== 'active' || ticket.checkIn.isCheckedIn) {
+    return next(new ApiError('Only active tickets can be resold', 400));
+  }
+
+  if (ticket.payment.paymentStatus !== 'completed') {
+    return next(new ApiError('Only paid tickets can be resold', 400));
+  }
+
+  const { event } = ticket;
+  if (!event.resale.enabled || event.status !== 'published') {
+    return next(new ApiError('The organizer does not allow resale for this event', 400));
+  }
+
+  if (new Date() > event.dateTime.start) {
+    return next(new ApiError('Cannot resell tickets for past events', 400));
+  }
+
+  // Organizers cap resale prices relative to the face value
+  const faceValue = ticket.pricing.originalPrice;
+  const maxPrice = Math.round(faceValue * event.resale.maxPricePercentage) / 100;
+  if (price > maxPrice) {
+    return next(new ApiError(`Resale price cannot exceed ${maxPrice} ${ticket.pricing.currency}`, 400));
+  }
+
+  await exports.assertNotListed(ticket);
+
+  const openTransfer = await Transfer.exists({
+    ticket: ticket._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+  if (openTransfer) {
+    return next(new ApiError('This ticket has a pending transfer', 400));
+  }
+
+  const listing = await ResaleListing.create({
+    ticket: ticket._id,
+    event: event._id,
+    seller: req.user._id,
+    ticketType: ticket.ticketType,
+    seatInfo: ticket.seatInfo,
+    faceValue,
+    price,
+    currency: ticket.pricing.currency
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: listing
+  });
+});
+
+// Get tickets on sale
+// GET /api/v1/resale
+// Public
+exports.getListings = asyncHandler(async (req, res, next) => {
+  let filter = { status: 'active' };
+
+  if (req.query.event) {
+    filter.event = req.query.event;
+  }
+
+  const listings = await ResaleListing.find(filter)
+    .populate('event', 'title dateTime venue coverImage')
+    .populate('seller', 'name')
+    .sort('price');
+
+  res.status(200).json({
+    status: 'success',
+    results: listings.length,
+    data: listings
+  });
+});
+
+// Get my resale listings
+// GET /api/v1/resale/my-listings
+// Private/User
+exports.getMyListings = asyncHandler(async (req, res, next) => {
+  let filter = { seller: req.user._id };
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const listings = await ResaleListing.find(filter)
+    .populate('event', 'title dateTime')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: listings.length,
+    data: listings
+  });
+});
+
+// Buy a resale ticket, the seller's ticket is voided once the payment completes
+// POST /api/v1/resale/:id/purchase
+// Private/User
+exports.purchaseListing = asyncHandler(async (req, res, next) => {
+  const { paymentMethod, paymentMethodId, attendeeInfo } = req.body;
+
+  const listing = await ResaleListing.findById(req.params.id).populate('event');
+  if (!listing || listing.status !== 'active') {
+    return next(new ApiError('This listing is no longer available', 404));
+  }
+
+  if (listing.seller.toString() === req.user._id.toString()) {
+    return next(new ApiError('You cannot buy your own listing', 400));
+  }
+
+  const { event } = listing;
+  if (!event.resale.enabled || event.status !== 'published' || new Date() > event.dateTime.start) {
+    return next(new ApiError('Resale is closed for this event', 400));
+  }
+
+  // 1) Reserve the listing and issue the buyer a pending ticket for the same seat
+  const ticket = await runInTransaction(async (session) => {
+    const reserved = await ResaleListing.findOneAndUpdate(
+      { _id: listing._id, status: 'active' },
+      { status: 'reserved', buyer: req.user._id, reservedAt: new Date() },
+      { new: true, session }
+    );
+    if (!reserved) {
+      throw new ApiError('This listing is no longer available', 400);
+    }
+
+    const listedTicket = await Ticket.findOne({
+      _id: listing.ticket,
+      user: listing.seller,
+      status: 'active',
+      'checkIn.isCheckedIn': false
+    }).session(session);
+    if (!listedTicket) {
+      throw new ApiError('The listed ticket is no longer valid', 400);
+    }
+
+    const { typeId, name } = listedTicket.ticketType || {};
+    const { section, row, seatNumber } = listedTicket.seatInfo;
+    return createTicket({
+      event: event._id,
+      user: req.user._id,
+      resaleOf: listedTicket._id,
+      attendeeInfo: attendeeInfo || {
+        name: req.user.name,
+        email: req.user.email,
+        phone: req.user.phone
+      },
+      ticketType: typeId ? { typeId, name } : undefined,
+      seatInfo: { section, row, seatNumber },
+      pricing: {
+        originalPrice: listing.faceValue,
+        finalPrice: listing.price,
+        discount: 0,
+        currency: listing.currency
+      },
+      payment: buildPaymentInfo(paymentMethod, listing.price),
+      status: 'pending',
+      metadata: {
+        source: 'web',
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+      }
+    }, session);
+  });
+
+  // 2) Collect the payment through the normal payment flow
+  const payment = await chargeBooking({
+    tickets: [ticket],
+    amount: listing.price,
+    currency: listing.currency,
+    paymentMethodId,
+    description: `${event.title} - resale ${ticket.ticketNumber}`
+  });
+  if (payment.status === 'failed') {
+    return next(new ApiError(`Payment failed: ${payment.failureReason || 'the payment was declined'}`, 402));
+  }
+
+  // 3) Generate the buyer's QR code
+  await attachQRCode(ticket);
+
+  const populatedTicket = await Ticket.findById(ticket._id)
+    .populate('event', 'title dateTime venue coverImage')
+    .populate('user', 'name email');
+
+  res.status(201).json({
+    status: 'success',
+    message: populatedTicket.status === 'pending'
+      ? 'Ticket reserved, complete the payment to confirm it'
+      : 'Ticket purchased successfully',
+    data: populatedTicket,
+    payment: {
+      id: payment.id,
+      status: payment.status,
+      clientSecret: payment.clientSecret
+    }
+  });
+});
+
+// Take one of my tickets off the resale marketplace
+// DELETE /api/v1/resale/:id
+// Private/User
+exports.cancelListing = asyncHandler(async (req, res, next) => {
+  const listing = await ResaleListing.findOneAndUpdate(
+    { _id: req.params.id, seller: req.user._id, status: 'active' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+
+  if (!listing) {
+    return next(new ApiError(`No active listing found for this id ${req.params.id}`, 404));
+  }
+
+  res.status(204).send();
+});
@@ -0,0 +1,252 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const sendEmail = require('../utils/sendEmail');
+const Event = require('../models/eventModel');
+const Ticket = require('../models/ticketModel');
+const Session = require('../models/sessionModel');
+const {
+  runInTransaction,
+  releaseSeats,
+  ticketValidUntil,
+  resignQRData,
+  attachQRCode
+} = require('./bookingService');
+const {
+  calculateRefund,
+  buildRefundUpdate,
+  recordOrderRefund,
+  issueRefund
+} = require('./paymentService');
+const { offerFreedSeats } = require('./waitlistService');
+const { assertNotListed } = require('./resaleService');
+const { releaseTicketSessions } = require('./sessionService');
+const { regeneratedPasses, recordRefreshedPass } = require('./walletPassService');
+const { deleteQRCode } = require('./qrCodeService');
+
+const DEFAULT_RESPONSE_DAYS = 7;
+
+// Start and end, a change of either one moves the event
+const timeSlot = ({ start, end }) => `${start.toUTCString()} - ${end.toUTCString()}`;
+
+// Tell a ticket holder about the new dates and how to answer. Passes already in a wallet
+// still show the old date, the regenerated ones come with the email
+const notifyHolder = async (event, user, tickets, reschedule) => {
+  const numbers = tickets.map((ticket) => ticket.ticketNumber).join(', ');
+
+  const walletTickets = tickets.filter((ticket) => ticket.status === 'active' && ticket.wallet && ticket.wallet.fingerprint);
+  const attachments = [];
+  const walletLines = [];
+  const refreshed = [];
+  for (const ticket of walletTickets) {
+    const passes = await regeneratedPasses(ticket);
+    if (passes.lines.length === 0) continue;
+    attachments.push(...passes.attachments);
+    walletLines.push(...passes.lines.map((line) => `${ticket.ticketNumber} - ${line}`));
+    refreshed.push(ticket);
+  }
+  const walletNote = walletLines.length > 0
+    ? ` \n The passes in your wallet still show the old date, replace them with the new ones: \n ${walletLines.join(' \n ')}`
+    : '';
+
+  const sent = await sendEmail({
+    email: user.email,
+    subject: `${event.title} has a new date`,
+    message: `Hi ${user.name},\n "${event.title}" has moved from ${timeSlot(reschedule.from)} to ${timeSlot(reschedule.to)}.${reschedule.reason ? ` \n Reason: ${reschedule.reason}` : ''} \n Your tickets are valid for the new date, download your PDF tickets again to get it printed on them.${walletNote} \n If you cannot make it, open your tickets (${numbers}) and ask for a full refund before ${reschedule.respondBy.toUTCString()}, after that they are kept for the new date. \n The Events Team`,
+    attachments
+  });
+  if (sent) {
+    for (const ticket of refreshed) {
+      await recordRefreshedPass(ticket);
+    }
+  }
+  return sent;
+};
+
+// Move an event to new dates: its sessions follow, its tickets get re-signed for the new end
+// and their holders get a response window to ask for a full refund.
+// Tickets still awaiting payment are re-signed and get the same window
+exports.moveEvent = async (event, { start, end }, { reason, responseDays = DEFAULT_RESPONSE_DAYS, by }) => {
+  // The refund window never runs past the new start
+  const now = new Date();
+  const respondBy = new Date(Math.min(now.getTime() + responseDays * 24 * 60 * 60 * 1000, start.getTime()));
+  const reschedule = {
+    from: { start: event.dateTime.start, end: event.dateTime.end },
+    to: { start, end },
+    reason,
+    respondBy,
+    rescheduledBy: by,
+    rescheduledAt: now
+  };
+
+  event.dateTime.start = start;
+  event.dateTime.end = end;
+  event.reschedules.push(reschedule);
+  await event.save();
+
+  // Sessions keep their place in the agenda
+  const shiftMs = start.getTime() - reschedule.from.start.getTime();
+  if (shiftMs !== 0) {
+    await Session.updateMany({ event: event._id }, [
+      { $set: { startsAt: { $add: ['$startsAt', shiftMs] }, endsAt: { $add: ['$endsAt', shiftMs] } } }
+    ]);
+  }
+
+  // Tickets (and their QR codes) now have to stay valid until the new end
+  const tickets = await Ticket.find({ event: event._id, status: { $in: ['active', 'pending'] } })
+    .populate('user', 'name email')
+    .populate('event', 'title dateTime venue coverImage');
+  const validUntil = ticketValidUntil(event);
+  for (const ticket of tickets) {
+    ticket.validUntil = validUntil;
+    resignQRData(ticket);
+    ticket.reschedule = { status: 'pending', respondBy };
+    await ticket.save();
+    await attachQRCode(ticket);
+  }
+
+  // One email per holder, they are the ones who can ask for the refund
+  const byHolder = new Map();
+  tickets.forEach((ticket) => {
+    const key = String(ticket.user._id);
+    if (!byHolder.has(key)) byHolder.set(key, { user: ticket.user, tickets: [] });
+    byHolder.get(key).tickets.push(ticket);
+  });
+  let holdersNotified = 0;
+  for (const { user, tickets: holderTickets } of byHolder.values()) {
+    if (await notifyHolder(event, user, holderTickets, reschedule)) holdersNotified += 1;
+  }
+
+  return { reschedule, tickets: tickets.length, holdersNotified };
+};
+
+// Move an event to new dates. Ticket holders keep their tickets for the new date
+// unless they ask for a full refund before the response window closes
+// POST /api/v1/events/:id/reschedule
+// Private/Admin-Manager
+exports.rescheduleEvent = asyncHandler(async (req, res, next) => {
+  const { dateTime, reason } = req.body;
+  const responseDays = Number(req.body.responseDays) || DEFAULT_RESPONSE_DAYS;
+
+  const event = await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ApiError(`No event found for this id ${req.params.id}`, 404));
+  }
+  if (req.user.role !== 'admin' && event.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only reschedule your own events', 403));
+  }
+  if (['cancelled', 'completed'].includes(event.status)) {
+    return next(new ApiError(`This event is ${event.status} and cannot be rescheduled`, 400));
+  }
+
+  const start = new Date(dateTime.start);
+  const end = new Date(dateTime.end);
+  if (start.getTime() === event.dateTime.start.getTime() && end.getTime() === event.dateTime.end.getTime()) {
+    return next(new ApiError('The event already takes place at these dates', 400));
+  }
+
+  const moved = await exports.moveEvent(event, { start, end }, { reason, responseDays, by: req.user._id });
+
+  res.status(200).json({
+    status: 'success',
+    message: `${event.title} has been rescheduled`,
+    data: { event, ...moved }
+  });
+});
+
+// Keep a ticket for the new date of a rescheduled event, or give it back for a full refund
+// POST /api/v1/tickets/:id/reschedule
+// Private/User
+exports.respondToReschedule = asyncHandler(async (req, res, next) => {
+  const { decision } = req.body;
+
+  const ticket = await Ticket.findById(req.params.id).populate('event', 'title dateTime');
+  if (!ticket) {
+    return next(new ApiError('Ticket not found', 404));
+  }
+  if (ticket.user.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only answer for your own tickets', 403));
+  }
+  if (ticket.status !== 'active' || !ticket.reschedule || ticket.reschedule.status !== 'pending') {
+    return next(new ApiError('This ticket has no pending reschedule to answer', 400));
+  }
+  if (ticket.reschedule.respondBy <= new Date()) {
+    return next(new ApiError('The response window has closed, the ticket is kept for the new date', 400));
+  }
+
+  if (decision === 'confirm') {
+    const confirmed = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, 'reschedule.status': 'pending' },
+      { 'reschedule.status': 'confirmed', 'reschedule.respondedAt': new Date() },
+      { new: true }
+    );
+    return res.status(200).json({
+      status: 'success',
+      message: `Your ticket is kept for ${ticket.event.dateTime.start.toUTCString()}`,
+      data: confirmed
+    });
+  }
+
+  await assertNotListed(ticket);
+
+  // Full refund of what was paid, whatever the event refund policy says
+  const amount = calculateRefund(ticket, 100);
+  const update = {
+    status: 'cancelled',
+    'reschedule.status': 'refunded',
+    'reschedule.respondedAt': new Date()
+  };
+  if (amount > 0) {
+    Object.assign(update, buildRefundUpdate(ticket, amount, { percentage: 100, reason: 'Event rescheduled' }));
+  }
+
+  const refundedTicket = await runInTransaction(async (session) => {
+    const updated = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, status: 'active', 'reschedule.status': 'pending' },
+      update,
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new ApiError('This ticket has no pending reschedule to answer', 400);
+    }
+
+    await releaseSeats(ticket.event._id, 1, session, ticket.ticketType && ticket.ticketType.typeId);
+    await releaseTicketSessions([ticket._id], session);
+    if (ticket.order && amount > 0) {
+      await recordOrderRefund(ticket.order, amount, session);
+    }
+    return updated;
+  });
+
+  let refund;
+  if (amount > 0) {
+    const recorded = refundedTicket.payment.refunds[refundedTicket.payment.refunds.length - 1];
+    refund = await issueRefund(refundedTicket, recorded);
+  }
+  if (refundedTicket.qrCode.image) {
+    await deleteQRCode(refundedTicket.qrCode.image);
+  }
+
+  await offerFreedSeats(ticket.event._id, {
+    ticketTypeId: ticket.ticketType && ticket.ticketType.typeId,
+    seats: [ticket.seatInfo.seatNumber].filter(Boolean)
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ticket cancelled and refunded',
+    data: refundedTicket,
+    refund: {
+      amount,
+      currency: ticket.pricing.currency,
+      status: refund ? refund.status : undefined
+    }
+  });
+});
+
+// Keep the tickets whose holders did not answer before the response window closed
+exports.confirmExpiredReschedules = async () => {
+  await Ticket.updateMany(
+    { 'reschedule.status': 'pending', 'reschedule.respondBy': { $lte: new Date() } },
+    { 'reschedule.status': 'confirmed', 'reschedule.autoConfirmed': true }
+  );
+};
@@ -0,0 +1,423 @@
+const asyncHandler = require('express-async-handler');
+const factory = require('./handlersFactory');
+const ApiError = require('../utils/apiError');
+const Event = require('../models/eventModel');
+const Ticket = require('../models/ticketModel');
+const Session = require('../models/sessionModel');
+const Speaker = require('../models/speakerModel');
+const SessionRegistration = require('../models/sessionRegistrationModel');
+const { runInTransaction } = require('./bookingService');
+const { findScanEvent } = require('./checkInService');
+const { assertNotListed } = require('./resaleService');
+const { verifyQRToken } = require('../utils/qrToken');
+
+// Session doors open a little before the start
+const CHECK_IN_OPENS_MINUTES = 30;
+
+const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+// Only the organizer (or an admin) can manage the agenda of an event
+const assertCanManageEvent = async (eventId, user) => {
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new ApiError('Event not found', 404);
+  }
+  if (user.role !== 'admin' && event.organizer.toString() !== user._id.toString()) {
+    throw new ApiError('You can only manage the agenda of your own events', 403);
+  }
+  return event;
+};
+
+// Check a session fits in its event, uses its speakers and doesn't double book its room
+const assertValidSession = async (event, session, sessionId) => {
+  if (session.startsAt >= session.endsAt) {
+    throw new ApiError('Session end must be after its start', 400);
+  }
+  if (session.startsAt < event.dateTime.start || session.endsAt > event.dateTime.end) {
+    throw new ApiError('Sessions must take place during the event', 400);
+  }
+
+  const speakerIds = session.speakers || [];
+  if (speakerIds.length > 0) {
+    const found = await Speaker.countDocuments({ _id: { $in: speakerIds }, event: event._id });
+    if (found !== new Set(speakerIds.map(String)).size) {
+      throw new ApiError('Session speakers must be speakers of this event', 400);
+    }
+  }
+
+  if (session.room) {
+    const clash = await Session.findOne({
+      _id: { $ne: sessionId },
+      event: event._id,
+      room: session.room,
+      startsAt: { $lt: session.endsAt },
+      endsAt: { $gt: session.startsAt }
+    });
+    if (clash) {
+      throw new ApiError(`${session.room} is already used by "${clash.title}" at that time`, 400);
+    }
+  }
+};
+
+// Load a session and the ticket the user wants to use for it
+const findSessionAndTicket = async (sessionId, ticketId, user) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new ApiError(`No session found for this id ${sessionId}`, 404);
+  }
+  const ticket = await Ticket.findById(ticketId);
+  if (!ticket || ticket.user.toString() !== user._id.toString()) {
+    throw new ApiError('Ticket not found', 404);
+  }
+  if (ticket.event.toString() !== session.event.toString()) {
+    throw new ApiError('This ticket is for another event', 400);
+  }
+  return { session, ticket };
+};
+
+// Nested route
+// GET /api/v1/events/:eventId/sessions
+exports.createFilterObj = (req, res, next) => {
+  let filterObject = {};
+  if (req.params.eventId) filterObject = { event: req.params.eventId };
+  req.filterObj = filterObject;
+  next();
+};
+
+// Nested route
+// POST /api/v1/events/:eventId/sessions
+exports.setEventIdToBody = (req, res, next) => {
+  if (!req.body.event) req.body.event = req.params.eventId;
+  next();
+};
+
+// Get list of sessions
+// GET /api/v1/sessions
+// GET /api/v1/events/:eventId/sessions
+// Public
+exports.getSessions = factory.getAll(Session);
+
+// Get specific session by id
+// GET /api/v1/sessions/:id
+// Public
+exports.getSession = factory.getOne(Session, { path: 'speakers', select: 'name headline company photo' });
+
+// Create session
+// POST /api/v1/events/:eventId/sessions
+// Private/Admin-Manager
+exports.createSession = asyncHandler(async (req, res, next) => {
+  const event = await assertCanManageEvent(req.body.event, req.user);
+  const { registeredCount, checkedInCount, ...fields } = req.body;
+
+  const session = new Session(fields);
+  await assertValidSession(event, session);
+  await session.save();
+
+  res.status(201).json({ data: session });
+});
+
+// Update specific session
+// PUT /api/v1/sessions/:id
+// Private/Admin-Manager
+exports.updateSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return next(new ApiError(`No session found for this id ${req.params.id}`, 404));
+  }
+  const event = await assertCanManageEvent(session.event, req.user);
+
+  // Sessions stay with their event, and the counters are kept by registrations and check-ins
+  const { event: eventId, registeredCount, checkedInCount, ...changes } = req.body;
+  session.set(changes);
+  if (session.capacity && session.capacity < session.registeredCount) {
+    return next(new ApiError(`${session.registeredCount} attendees are already registered for this session`, 400));
+  }
+  await assertValidSession(event, session, session._id);
+  await session.save();
+
+  res.status(200).json({ data: session });
+});
+
+// Delete specific session, only while nobody is registered for it
+// DELETE /api/v1/sessions/:id
+// Private/Admin-Manager
+exports.deleteSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return next(new ApiError(`No session found for this id ${req.params.id}`, 404));
+  }
+  await assertCanManageEvent(session.event, req.user);
+
+  if (session.registeredCount > 0) {
+    return next(new ApiError('Attendees are registered for this session, it cannot be deleted', 400));
+  }
+  await SessionRegistration.deleteMany({ session: session._id });
+  await Session.findByIdAndDelete(session._id);
+  res.status(204).send();
+});
+
+// Get the published agenda of an event, grouped by day and track
+// GET /api/v1/events/:id/agenda
+// Public
+exports.getEventAgenda = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.id).select('title status dateTime venue');
+  if (!event || !['published', 'completed'].includes(event.status)) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  const sessions = await Session.find({ event: event._id })
+    .populate('speakers', 'name headline company photo')
+    .sort('startsAt track');
+
+  // Days are UTC calendar days, tracks keep the order they first appear in
+  const days = new Map();
+  sessions.forEach((session) => {
+    const date = session.startsAt.toISOString().slice(0, 10);
+    if (!days.has(date)) days.set(date, new Map());
+    const tracks = days.get(date);
+    if (!tracks.has(session.track)) tracks.set(session.track, []);
+    tracks.get(session.track).push({
+      id: session._id,
+      title: session.title,
+      description: session.description,
+      format: session.format,
+      room: session.room,
+      startsAt: session.startsAt,
+      endsAt: session.endsAt,
+      speakers: session.speakers,
+      capacity: session.capacity,
+      seatsLeft: session.seatsLeft
+    });
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      event: { id: event._id, title: event.title, dateTime: event.dateTime, venue: event.venue.name },
+      days: [...days].map(([date, tracks]) => ({
+        date,
+        tracks: [...tracks].map(([name, trackSessions]) => ({ name, sessions: trackSessions }))
+      }))
+    }
+  });
+});
+
+// Register a ticket for a session
+// POST /api/v1/sessions/:id/registrations
+// Private/User
+exports.registerForSession = asyncHandler(async (req, res, next) => {
+  const { session, ticket } = await findSessionAndTicket(req.params.id, req.body.ticketId, req.user);
+
+  if (!['active', 'used'].includes(ticket.status)) {
+    return next(new ApiError('Only valid tickets can be registered for sessions', 400));
+  }
+  if (session.endsAt <= new Date()) {
+    return next(new ApiError('This session is over', 400));
+  }
+
+  // Attendees can only be in one room at a time
+  const current = await SessionRegistration.find({ ticket: ticket._id, status: 'registered' })
+    .populate('session', 'title startsAt endsAt');
+  if (current.some((registration) => registration.session._id.equals(session._id))) {
+    return next(new ApiError('This ticket is already registered for this session', 400));
+  }
+  const clash = current.find((registration) => overlaps(registration.session, session));
+  if (clash) {
+    return next(new ApiError(`This ticket is already registered for "${clash.session.title}" at that time`, 400));
+  }
+
+  // Take a seat and record the registration together
+  const registration = await runInTransaction(async (dbSession) => {
+    const seated = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        $or: [
+          { capacity: null },
+          { $expr: { $lt: ['$registeredCount', '$capacity'] } }
+        ]
+      },
+      { $inc: { registeredCount: 1 } },
+      { session: dbSession }
+    );
+    if (!seated) {
+      throw new ApiError('This session is full', 400);
+    }
+
+    // A ticket that cancelled earlier gets its registration back
+    return SessionRegistration.findOneAndUpdate(
+      { session: session._id, ticket: ticket._id },
+      {
+        event: session.event,
+        status: 'registered',
+        checkIn: { isCheckedIn: false },
+        $unset: { cancelledAt: 1 }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true, session: dbSession }
+    );
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: `Registered for ${session.title}`,
+    data: registration
+  });
+});
+
+// Cancel a session registration
+// DELETE /api/v1/sessions/:id/registrations/:ticketId
+// Private/User
+exports.cancelSessionRegistration = asyncHandler(async (req, res, next) => {
+  const { session, ticket } = await findSessionAndTicket(req.params.id, req.params.ticketId, req.user);
+
+  const cancelled = await runInTransaction(async (dbSession) => {
+    const registration = await SessionRegistration.findOneAndUpdate(
+      { session: session._id, ticket: ticket._id, status: 'registered', 'checkIn.isCheckedIn': false },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true, session: dbSession }
+    );
+    if (!registration) {
+      throw new ApiError('This ticket has no registration to cancel for this session', 404);
+    }
+    await Session.updateOne({ _id: session._id }, { $inc: { registeredCount: -1 } }, { session: dbSession });
+    return registration;
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session registration cancelled',
+    data: cancelled
+  });
+});
+
+// Get the sessions the logged user's tickets are registered for
+// GET /api/v1/sessions/me
+// Private/User
+exports.getMySessions = asyncHandler(async (req, res, next) => {
+  const ticketIds = await Ticket.find({ user: req.user._id }).distinct('_id');
+  const registrations = await SessionRegistration.find({ ticket: { $in: ticketIds }, status: 'registered' })
+    .populate({
+      path: 'session',
+      select: 'title track room startsAt endsAt speakers',
+      populate: { path: 'speakers', select: 'name' }
+    })
+    .populate('event', 'title')
+    .populate('ticket', 'ticketNumber attendeeInfo.name');
+
+  registrations.sort((a, b) => a.session.startsAt - b.session.startsAt);
+
+  res.status(200).json({
+    status: 'success',
+    results: registrations.length,
+    data: registrations
+  });
+});
+
+// Get the registrations of a session
+// GET /api/v1/sessions/:id/registrations
+// Private/Admin-Manager
+exports.getSessionRegistrations = asyncHandler(async (req, res, next) => {
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return next(new ApiError(`No session found for this id ${req.params.id}`, 404));
+  }
+  await assertCanManageEvent(session.event, req.user);
+
+  const registrations = await SessionRegistration.find({ session: session._id, status: 'registered' })
+    .populate('ticket', 'ticketNumber attendeeInfo ticketType')
+    .sort('createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: registrations.length,
+    data: {
+      session: {
+        title: session.title,
+        capacity: session.capacity,
+        registered: session.registeredCount,
+        checkedIn: session.checkedInCount
+      },
+      registrations
+    }
+  });
+});
+
+// Check a registered attendee into a session using their ticket QR code
+// POST /api/v1/sessions/:id/checkin
+// Private/Admin-Manager-Staff
+exports.checkInSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return next(new ApiError(`No session found for this id ${req.params.id}`, 404));
+  }
+  await findScanEvent(session.event, req.user);
+
+  const now = new Date();
+  if (now < new Date(session.startsAt.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000) || now > session.endsAt) {
+    return next(new ApiError('Check-in for this session is not open', 400));
+  }
+
+  const claims = verifyQRToken(req.body.qrData);
+  if (claims.typ !== 'TICKET') {
+    return next(new ApiError('This QR code is not a ticket', 400));
+  }
+  if (claims.eid !== String(session.event)) {
+    return next(new ApiError('This ticket is for another event', 400));
+  }
+  const ticket = await Ticket.findById(claims.tid);
+  if (!ticket || !['active', 'used'].includes(ticket.status)) {
+    return next(new ApiError('This ticket is not valid', 400));
+  }
+  if ((claims.ver || 1) !== (ticket.qrCode.version || 1)) {
+    return next(new ApiError('This QR code has been replaced, ask the attendee for their current ticket', 400));
+  }
+  await assertNotListed(ticket);
+
+  const registration = await SessionRegistration.findOneAndUpdate(
+    { session: session._id, ticket: ticket._id, status: 'registered', 'checkIn.isCheckedIn': false },
+    { checkIn: { isCheckedIn: true, checkedInAt: now, checkedInBy: req.user._id } },
+    { new: true }
+  );
+  if (!registration) {
+    const existing = await SessionRegistration.findOne({ session: session._id, ticket: ticket._id, status: 'registered' });
+    return next(new ApiError(
+      existing ? 'This attendee is already checked in to this session' : 'This ticket is not registered for this session',
+      400
+    ));
+  }
+  await Session.updateOne({ _id: session._id }, { $inc: { checkedInCount: 1 } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Attendee checked in to the session',
+    data: {
+      session: session.title,
+      ticket: ticket.ticketNumber,
+      attendee: ticket.attendeeInfo.name,
+      checkedInAt: registration.checkIn.checkedInAt
+    }
+  });
+});
+
+// Free the session seats of cancelled tickets, inside the caller's transaction
+exports.releaseTicketSessions = async (ticketIds, dbSession) => {
+  const registrations = await SessionRegistration.find(
+    { ticket: { $in: ticketIds }, status: 'registered' },
+    null,
+    { session: dbSession }
+  );
+  if (registrations.length === 0) return;
+
+  await SessionRegistration.updateMany(
+    { _id: { $in: registrations.map((registration) => registration._id) } },
+    { status: 'cancelled', cancelledAt: new Date() },
+    { session: dbSession }
+  );
+  for (const registration of registrations) {
+    await Session.updateOne(
+      { _id: registration.session },
+      { $inc: { registeredCount: -1 } },
+      { session: dbSession }
+    );
+  }
+};
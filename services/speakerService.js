@@ -0,0 +1,85 @@
+const asyncHandler = require('express-async-handler');
+const factory = require('./handlersFactory');
+const ApiError = require('../utils/apiError');
+const Event = require('../models/eventModel');
+const Speaker = require('../models/speakerModel');
+const Session = require('../models/sessionModel');
+
+// Only the organizer (or an admin) can manage the speakers of an event
+const assertCanManageEvent = async (eventId, user) => {
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new ApiError('Event not found', 404);
+  }
+  if (user.role !== 'admin' && event.organizer.toString() !== user._id.toString()) {
+    throw new ApiError('You can only manage the speakers of your own events', 403);
+  }
+  return event;
+};
+
+// Nested route
+// GET /api/v1/events/:eventId/speakers
+exports.createFilterObj = (req, res, next) => {
+  let filterObject = {};
+  if (req.params.eventId) filterObject = { event: req.params.eventId };
+  req.filterObj = filterObject;
+  next();
+};
+
+// Nested route
+// POST /api/v1/events/:eventId/speakers
+exports.setEventIdToBody = (req, res, next) => {
+  if (!req.body.event) req.body.event = req.params.eventId;
+  next();
+};
+
+// Get list of speakers
+// GET /api/v1/speakers
+// GET /api/v1/events/:eventId/speakers
+// Public
+exports.getSpeakers = factory.getAll(Speaker);
+
+// Get specific speaker by id
+// GET /api/v1/speakers/:id
+// Public
+exports.getSpeaker = factory.getOne(Speaker);
+
+// Create speaker
+// POST /api/v1/events/:eventId/speakers
+// Private/Admin-Manager
+exports.createSpeaker = asyncHandler(async (req, res, next) => {
+  await assertCanManageEvent(req.body.event, req.user);
+  const speaker = await Speaker.create(req.body);
+  res.status(201).json({ data: speaker });
+});
+
+// Update specific speaker
+// PUT /api/v1/speakers/:id
+// Private/Admin-Manager
+exports.updateSpeaker = asyncHandler(async (req, res, next) => {
+  const speaker = await Speaker.findById(req.params.id);
+  if (!speaker) {
+    return next(new ApiError(`No speaker found for this id ${req.params.id}`, 404));
+  }
+  await assertCanManageEvent(speaker.event, req.user);
+
+  // Speakers stay with the event they were created for
+  const { event, ...changes } = req.body;
+  const updatedSpeaker = await Speaker.findByIdAndUpdate(req.params.id, changes, { new: true });
+  res.status(200).json({ data: updatedSpeaker });
+});
+
+// Delete specific speaker, and take them off the agenda
+// DELETE /api/v1/speakers/:id
+// Private/Admin-Manager
+exports.deleteSpeaker = asyncHandler(async (req, res, next) => {
+  const speaker = await Speaker.findById(req.params.id);
+  if (!speaker) {
+    return next(new ApiError(`No speaker found for this id ${req.params.id}`, 404));
+  }
+  await assertCanManageEvent(speaker.event, req.user);
+
+  await Session.updateMany({ speakers: speaker._id }, { $pull: { speakers: speaker._id } });
+  await Speaker.findByIdAndDelete(speaker._id);
+  res.status(204).send();
+});
@@ -0,0 +1,66 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const Event = require('../models/eventModel');
+const Ticket = require('../models/ticketModel');
+const { renderTicketPdf, renderBadgeSheet } = require('../utils/ticketPdf');
+
+// Headers are set before rendering starts, the PDF is streamed straight into the response
+const setPdfHeaders = (res, fileName) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${fileName}.pdf"`
+  });
+};
+
+// Download a printable ticket
+// GET /api/v1/tickets/:id/pdf
+// Private
+exports.getTicketPdf = asyncHandler(async (req, res, next) => {
+  const ticket = await Ticket.findById(req.params.id)
+    .populate('event', 'title dateTime venue coverImage organizer');
+
+  if (!ticket) {
+    return next(new ApiError(`No ticket found for this id ${req.params.id}`, 404));
+  }
+
+  if (ticket.user.toString() !== req.user._id.toString() &&
+      req.user.role !== 'admin' &&
+      ticket.event.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You are not authorized to access this ticket', 403));
+  }
+
+  if (!['active', 'used'].includes(ticket.status) || !ticket.qrCode.data) {
+    return next(new ApiError('Only confirmed tickets can be printed', 400));
+  }
+
+  setPdfHeaders(res, ticket.ticketNumber);
+  await renderTicketPdf(ticket, res);
+});
+
+// Download a print-ready sheet of attendee name badges
+// GET /api/v1/tickets/event/:eventId/badges
+// Private/Admin-Manager
+exports.getEventBadges = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+  if (req.user.role !== 'admin' && event.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only print badges for your own events', 403));
+  }
+
+  const filter = { event: event._id, status: { $in: ['active', 'used'] } };
+  if (req.query.ticketType) {
+    filter['ticketType.typeId'] = req.query.ticketType;
+  }
+  const tickets = await Ticket.find(filter)
+    .select('ticketNumber attendeeInfo.name ticketType qrCode.data')
+    .sort('attendeeInfo.name');
+
+  if (tickets.length === 0) {
+    return next(new ApiError('This event has no attendees to print badges for', 404));
+  }
+
+  setPdfHeaders(res, `${event.slug || event._id}-badges`);
+  await renderBadgeSheet(event, tickets, res);
+});
@@ -3,7 +3,35 @@ const asyncHandler = require('express-async-handler');
 const ApiError = require('../utils/apiError');
 const Event = require('../models/eventModel');
 const Ticket = require('../models/ticketModel');
-const { generateQRCode } = require('./qrCodeService');
+const {
+  runInTransaction,
+  assertEventBookable,
+  assertSeatsAvailable,
+  resolveSeatInfo,
+  resolveTicketType,
+  reserveSeats,
+  releaseSeats,
+  findActiveHold,
+  convertHold,
+  assertSeatsMatchHold,
+  calculateTicketPricing,
+  buildPaymentInfo,
+  requiresOnlinePayment,
+  createTicket,
+  attachQRCode,
+  upgradeLegacyQRCode
+} = require('./bookingService');
+const { offerFreedSeats } = require('./waitlistService');
+const { preparePromoCode, applyPromoDiscount, redeemPromoCode } = require('./promoCodeService');
+const {
+  chargeBooking,
+  calculateRefund,
+  buildRefundUpdate,
+  recordOrderRefund,
+  issueRefund
+} = require('./paymentService');
+const { assertNotListed } = require('./resaleService');
+const { releaseTicketSessions } = require('./sessionService');
 
 // Get all tickets (Admin only)
 // GET /api/v1/tickets
@@ -78,126 +106,120 @@ exports.getTicket = asyncHandler(async (req, res, next) => {
     return next(new ApiError('You are not authorized to access this ticket', 403));
   }
   
+  // Tickets booked before QR codes were signed get a signed one the first time they are opened
+  await upgradeLegacyQRCode(ticket);
+  
   res.status(200).json({
     status: 'success',
     data: ticket
   });
 });
 
+// Give the tickets booked before QR codes were signed a signed QR code, a batch per run
+exports.reissueLegacyQRCodes = async () => {
+  const tickets = await Ticket.find({
+    status: { $in: ['pending', 'active'] },
+    'qrCode.data': /^\{/
+  }).limit(100);
+  
+  for (const ticket of tickets) {
+    try {
+      await upgradeLegacyQRCode(ticket);
+    } catch (error) {
+      console.error(`Could not reissue the QR code of ticket ${ticket.ticketNumber}: ${error.message}`);
+    }
+  }
+};
+
 // Book ticket
 // POST /api/v1/tickets/book
 // Private/User
 exports.bookTicket = asyncHandler(async (req, res, next) => {
-  const { eventId, seatNumber, attendeeInfo, paymentMethod } = req.body;
+  const { eventId, holdId, attendeeInfo, paymentMethod, paymentMethodId } = req.body;
   
-  // 1) Get event and check availability
+  // 1) Get event and check availability (a hold already set the seat aside)
   const event = await Event.findById(eventId);
-  if (!event) {
-    return next(new ApiError('Event not found', 404));
-  }
-  
-  if (event.status !== 'published') {
-    return next(new ApiError('Event is not available for booking', 400));
-  }
-  
-  if (event.capacity.availableSeats <= 0) {
-    return next(new ApiError('No seats available', 400));
-  }
-  
-  if (new Date() > event.dateTime.start) {
-    return next(new ApiError('Cannot book tickets for past events', 400));
-  }
-  
-  // 2) Check if seat is already booked
-  const existingTicket = await Ticket.findOne({
-    event: eventId,
-    'seatInfo.seatNumber': seatNumber,
-    status: { $in: ['active', 'used'] }
+  const hold = holdId ? await findActiveHold(holdId, req.user._id, eventId) : null;
+  assertEventBookable(event, hold ? 0 : 1);
+  const ticketTypeId = hold ? hold.ticketType && hold.ticketType.typeId : req.body.ticketTypeId;
+  const ticketType = resolveTicketType(event, ticketTypeId, 1, !hold);
+  const seatInfo = resolveSeatInfo(event, req.body);
+  if (hold) assertSeatsMatchHold(hold, [seatInfo.seatNumber]);
+  const promo = req.body.promoCode
+    ? await preparePromoCode(req.body.promoCode, { event, user: req.user, quantity: 1 })
+    : null;
+  const pricing = applyPromoDiscount(promo, calculateTicketPricing(event, ticketType));
+  const payOnline = requiresOnlinePayment(paymentMethod, pricing.finalPrice);
+  
+  // 2) Take the seat and create the ticket as one transaction
+  const ticket = await runInTransaction(async (session) => {
+    if (hold) {
+      await convertHold(hold, session);
+    } else {
+      await reserveSeats(eventId, 1, session, ticketType);
+    }
+    await assertSeatsAvailable(eventId, [seatInfo.seatNumber], session, hold && hold._id);
+    
+    const newTicket = await createTicket({
+      event: eventId,
+      user: req.user._id,
+      attendeeInfo: attendeeInfo || {
+        name: req.user.name,
+        email: req.user.email,
+        phone: req.user.phone
+      },
+      ticketType: ticketType ? { typeId: ticketType._id, name: ticketType.name } : undefined,
+      seatInfo,
+      pricing,
+      payment: buildPaymentInfo(paymentMethod, pricing.finalPrice),
+      status: payOnline ? 'pending' : 'active',
+      metadata: {
+        source: 'web',
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+      }
+    }, session);
+    
+    if (promo) {
+      await redeemPromoCode(promo, { user: req.user, event, tickets: [newTicket] }, session);
+    }
+    return newTicket;
   });
   
-  if (existingTicket) {
-    return next(new ApiError('This seat is already booked', 400));
-  }
-  
-  // 3) Calculate pricing
-  const currentDate = new Date();
-  let finalPrice = event.pricing.ticketPrice;
-  let discount = 0;
-  
-  if (event.pricing.earlyBird && 
-      event.pricing.earlyBird.deadline > currentDate && 
-      event.pricing.earlyBird.price) {
-    finalPrice = event.pricing.earlyBird.price;
-    discount = event.pricing.ticketPrice - finalPrice;
+  // 3) Collect the payment, the ticket stays pending until the provider confirms it
+  let payment;
+  if (payOnline) {
+    payment = await chargeBooking({
+      tickets: [ticket],
+      amount: pricing.finalPrice,
+      currency: pricing.currency,
+      paymentMethodId,
+      description: `${event.title} - ${ticket.ticketNumber}`
+    });
+    if (payment.status === 'failed') {
+      return next(new ApiError(`Payment failed: ${payment.failureReason || 'the payment was declined'}`, 402));
+    }
   }
   
-  // 4) Create ticket
-  const ticketData = {
-    event: eventId,
-    user: req.user._id,
-    attendeeInfo: attendeeInfo || {
-      name: req.user.name,
-      email: req.user.email,
-      phone: req.user.phone
-    },
-    seatInfo: {
-      seatNumber,
-      section: req.body.section || 'General',
-      row: req.body.row || 'A'
-    },
-    pricing: {
-      originalPrice: event.pricing.ticketPrice,
-      finalPrice,
-      discount,
-      currency: event.pricing.currency
-    },
-    payment: {
-      paymentMethod,
-      paymentStatus: paymentMethod === 'cash' ? 'pending' : 'completed',
-      paidAt: paymentMethod !== 'cash' ? new Date() : undefined,
-      transactionId: paymentMethod !== 'cash' ? `TXN-${Date.now()}` : undefined
-    },
-    metadata: {
-      source: 'web',
-      userAgent: req.get('User-Agent'),
-      ipAddress: req.ip
-    }
-  };
-  
-  const ticket = await Ticket.create(ticketData);
-  
-  // 5) Generate QR Code
-  const qrData = {
-    ticketId: ticket._id,
-    ticketNumber: ticket.ticketNumber,
-    eventId: event._id,
-    seatNumber,
-    attendeeName: ticketData.attendeeInfo.name
-  };
-  
-  const qrCodeResult = await generateQRCode(JSON.stringify(qrData), ticket.ticketNumber);
-  
-  // 6) Update ticket with QR code
-  ticket.qrCode = {
-    data: JSON.stringify(qrData),
-    image: qrCodeResult.filePath
-  };
-  await ticket.save();
-  
-  // 7) Update event seat count
-  await Event.findByIdAndUpdate(eventId, {
-    $inc: { 'capacity.soldSeats': 1, 'capacity.availableSeats': -1 }
-  });
+  // 4) Generate QR Code
+  await attachQRCode(ticket);
   
-  // 8) Populate ticket for response
+  // 5) Populate ticket for response
   const populatedTicket = await Ticket.findById(ticket._id)
     .populate('event', 'title dateTime venue coverImage')
     .populate('user', 'name email');
   
   res.status(201).json({
     status: 'success',
-    message: 'Ticket booked successfully',
-    data: populatedTicket
+    message: populatedTicket.status === 'pending'
+      ? 'Ticket reserved, complete the payment to confirm it'
+      : 'Ticket booked successfully',
+    data: populatedTicket,
+    payment: payment && {
+      id: payment.id,
+      status: payment.status,
+      clientSecret: payment.clientSecret
+    }
   });
 });
 
@@ -205,6 +227,7 @@ exports.bookTicket = asyncHandler(async (req, res, next) => {
 // PATCH /api/v1/tickets/:id/cancel
 // Private/User
 exports.cancelTicket = asyncHandler(async (req, res, next) => {
+  const { refundPercentage, overrideReason } = req.body;
   const ticket = await Ticket.findById(req.params.id).populate('event');
   
   if (!ticket) {
@@ -220,83 +243,79 @@ exports.cancelTicket = asyncHandler(async (req, res, next) => {
     return next(new ApiError('Only active tickets can be cancelled', 400));
   }
   
-  // Check if event is too close (e.g., 24 hours before)
-  const hoursUntilEvent = (ticket.event.dateTime.start - new Date()) / (1000 * 60 * 60);
-  if (hoursUntilEvent < 24) {
-    return next(new ApiError('Cannot cancel tickets within 24 hours of event', 400));
-  }
-  
-  // Update ticket status
-  ticket.status = 'cancelled';
-  ticket.payment.paymentStatus = 'refunded';
-  ticket.payment.refundedAt = new Date();
-  await ticket.save();
+  await assertNotListed(ticket);
   
-  // Update event seat count
-  await Event.findByIdAndUpdate(ticket.event._id, {
-    $inc: { 'capacity.soldSeats': -1, 'capacity.availableSeats': 1 }
-  });
-  
-  res.status(200).json({
-    status: 'success',
-    message: 'Ticket cancelled successfully',
-    data: ticket
-  });
-});
-
-// Check-in ticket using QR code
-// POST /api/v1/tickets/checkin
-// Private/Admin-Manager
-exports.checkInTicket = asyncHandler(async (req, res, next) => {
-  const { qrData, gate } = req.body;
-  
-  let ticketInfo;
-  try {
-    ticketInfo = JSON.parse(qrData);
-  } catch (error) {
-    return next(new ApiError('Invalid QR code data', 400));
+  // Admins can refund a different share than the event policy allows, with a reason
+  const isOverride = refundPercentage !== undefined;
+  if (isOverride && req.user.role !== 'admin') {
+    return next(new ApiError('Only admins can override the refund policy', 403));
   }
-  
-  const ticket = await Ticket.findById(ticketInfo.ticketId)
-    .populate('event', 'title dateTime status')
-    .populate('user', 'name email');
-    
-  if (!ticket) {
-    return next(new ApiError('Ticket not found', 404));
+  if (isOverride && !overrideReason) {
+    return next(new ApiError('A reason is required to override the refund policy', 400));
   }
   
-  if (ticket.status !== 'active') {
-    return next(new ApiError('This ticket is not valid for entry', 400));
+  // Work out the refund from the event refund policy
+  const policyPercentage = ticket.event.refundPercentageAt(new Date());
+  if (policyPercentage === null && !isOverride) {
+    return next(new ApiError('This ticket can no longer be cancelled under the event refund policy', 400));
   }
-  
-  if (ticket.checkIn.isCheckedIn) {
-    return next(new ApiError('This ticket has already been used', 400));
+  const percentage = isOverride ? Number(refundPercentage) : policyPercentage;
+  const amount = calculateRefund(ticket, percentage);
+  
+  const update = { status: 'cancelled' };
+  const override = isOverride
+    ? { by: req.user._id, reason: overrideReason, policyPercentage }
+    : undefined;
+  // Overrides are audited on the ticket whatever they refund (0%, unpaid or cash tickets)
+  if (override) {
+    update['payment.refundOverride'] = { ...override, percentage, at: new Date() };
   }
-  
-  if (ticket.event.status !== 'published') {
-    return next(new ApiError('Event is not active', 400));
+  if (amount > 0) {
+    Object.assign(update, buildRefundUpdate(ticket, amount, { percentage, override }));
   }
   
-  // Update check-in status
-  ticket.status = 'used';
-  ticket.checkIn = {
-    isCheckedIn: true,
-    checkedInAt: new Date(),
-    checkedInBy: req.user._id,
-    gate: gate || 'Main Gate'
-  };
+  // Update ticket status and give the seat back in one transaction
+  const cancelledTicket = await runInTransaction(async (session) => {
+    const updated = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, status: 'active' },
+      update,
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new ApiError('Only active tickets can be cancelled', 400);
+    }
+    
+    await releaseSeats(ticket.event._id, 1, session, ticket.ticketType && ticket.ticketType.typeId);
+    await releaseTicketSessions([ticket._id], session);
+    
+    if (ticket.order && amount > 0) {
+      await recordOrderRefund(ticket.order, amount, session);
+    }
+    return updated;
+  });
   
-  await ticket.save();
+  // Send the refund through the payment provider
+  let refund;
+  if (amount > 0) {
+    const recorded = cancelledTicket.payment.refunds[cancelledTicket.payment.refunds.length - 1];
+    refund = await issueRefund(cancelledTicket, recorded);
+  }
+  
+  // Offer the freed seat to the waitlist
+  await offerFreedSeats(ticket.event._id, {
+    ticketTypeId: ticket.ticketType && ticket.ticketType.typeId,
+    seats: [ticket.seatInfo.seatNumber].filter(Boolean)
+  });
   
   res.status(200).json({
     status: 'success',
-    message: 'Ticket checked in successfully',
-    data: {
-      ticket: ticket.ticketNumber,
-      attendee: ticket.attendeeInfo.name,
-      event: ticket.event.title,
-      seat: ticket.seatInfo.seatNumber,
-      checkedInAt: ticket.checkIn.checkedInAt
+    message: 'Ticket cancelled successfully',
+    data: cancelledTicket,
+    refund: {
+      percentage,
+      amount,
+      currency: ticket.pricing.currency,
+      status: refund ? refund.status : undefined
     }
   });
 });
@@ -318,6 +337,10 @@ exports.getEventTickets = asyncHandler(async (req, res, next) => {
   if (req.query.checkedIn) {
     filter['checkIn.isCheckedIn'] = req.query.checkedIn === 'true';
   }
+  
+  if (req.query.ticketType) {
+    filter['ticketType.typeId'] = req.query.ticketType;
+  }
   const tickets = await Ticket.find(filter)
   .populate('user', 'name email phone')
   .sort('-createdAt');
@@ -331,16 +354,84 @@ exports.getEventTickets = asyncHandler(async (req, res, next) => {
         activeTickets: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
         usedTickets: { $sum: { $cond: [{ $eq: ['$status', 'used'] }, 1, 0] } },
         cancelledTickets: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        resoldTickets: { $sum: { $cond: [{ $eq: ['$status', 'resold'] }, 1, 0] } },
         checkedInTickets: { $sum: { $cond: ['$checkIn.isCheckedIn', 1, 0] } },
+        compTickets: { $sum: { $cond: [{ $eq: ['$metadata.source', 'comp'] }, 1, 0] } },
         totalRevenue: { $sum: '$pricing.finalPrice' }
       }
     }
   ]);
   
+  // Complimentary tickets per category, with the face value given away
+  const compTickets = await Ticket.aggregate([
+    { $match: { event: new Types.ObjectId(eventId), 'metadata.source': 'comp' } },
+    {
+      $group: {
+        _id: '$comp.category',
+        issuedTickets: { $sum: 1 },
+        activeTickets: { $sum: { $cond: [{ $in: ['$status', ['active', 'used']] }, 1, 0] } },
+        checkedInTickets: { $sum: { $cond: ['$checkIn.isCheckedIn', 1, 0] } },
+        faceValue: { $sum: '$pricing.originalPrice' }
+      }
+    },
+    { $sort: { issuedTickets: -1 } }
+  ]);
+  
+  // Sales breakdown per ticket tier
+  const tierSales = await Ticket.aggregate([
+    { $match: { event: new Types.ObjectId(eventId), 'ticketType.typeId': { $exists: true } } },
+    {
+      $group: {
+        _id: '$ticketType.typeId',
+        name: { $first: '$ticketType.name' },
+        soldTickets: {
+          $sum: {
+            $cond: [
+              { $and: [{ $in: ['$status', ['active', 'used']] }, { $ne: ['$metadata.source', 'comp'] }] },
+              1,
+              0
+            ]
+          }
+        },
+        compTickets: { $sum: { $cond: [{ $eq: ['$metadata.source', 'comp'] }, 1, 0] } },
+        cancelledTickets: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        checkedInTickets: { $sum: { $cond: ['$checkIn.isCheckedIn', 1, 0] } },
+        revenue: { $sum: '$pricing.finalPrice' }
+      }
+    }
+  ]);
+  
+  const ticketTypes = event.ticketTypes.map((type) => {
+    const sales = tierSales.find((item) => item._id.toString() === type._id.toString()) || {};
+    return {
+      ticketTypeId: type._id,
+      name: type.name,
+      price: type.price,
+      currency: type.currency,
+      quota: type.quota,
+      available: type.available,
+      soldTickets: sales.soldTickets || 0,
+      compTickets: sales.compTickets || 0,
+      cancelledTickets: sales.cancelledTickets || 0,
+      checkedInTickets: sales.checkedInTickets || 0,
+      revenue: sales.revenue || 0
+    };
+  });
+  
   res.status(200).json({
     status: 'success',
     results: tickets.length,
-    stats: stats[0] || {},
+    stats: {
+      ...(stats[0] || {}),
+      ticketTypes,
+      comp: compTickets.map((item) => ({
+        category: item._id,
+        issuedTickets: item.issuedTickets,
+        activeTickets: item.activeTickets,
+        checkedInTickets: item.checkedInTickets,
+        faceValue: item.faceValue
+      }))
+    },
     data: tickets
   });
 });
\ No newline at end of file
@@ -0,0 +1,240 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const sendEmail = require('../utils/sendEmail');
+const Ticket = require('../models/ticketModel');
+const Transfer = require('../models/transferModel');
+const { runInTransaction, reissueQRData, attachQRCode } = require('./bookingService');
+const { deleteQRCode } = require('./qrCodeService');
+const { assertNotListed } = require('./resaleService');
+const { refreshWalletPasses } = require('./walletPassService');
+
+const TRANSFER_HOURS = 72;
+
+// Send a ticket to another person by email
+// POST /api/v1/tickets/:id/transfer
+// Private/User
+exports.createTransfer = asyncHandler(async (req, res, next) => {
+  const { email, message } = req.body;
+  const toEmail = email.toLowerCase().trim();
+
+  const ticket = await Ticket.findById(req.params.id).populate('event', 'title dateTime allowTransfers');
+  if (!ticket) {
+    return next(new ApiError('Ticket not found', 404));
+  }
+
+  if (ticket.user.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only transfer your own tickets', 403));
+  }
+
+  if (ticket.status !== 'active' || ticket.checkIn.isCheckedIn) {
+    return next(new ApiError('Only active tickets can be transferred', 400));
+  }
+
+  if (!ticket.event.allowTransfers) {
+    return next(new ApiError('The organizer does not allow ticket transfers for this event', 400));
+  }
+
+  if (new Date() > ticket.event.dateTime.start) {
+    return next(new ApiError('Cannot transfer tickets for past events', 400));
+  }
+
+  if (toEmail === req.user.email) {
+    return next(new ApiError('You cannot transfer a ticket to yourself', 400));
+  }
+
+  await assertNotListed(ticket);
+
+  const openTransfer = await Transfer.findOne({
+    ticket: ticket._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+  if (openTransfer) {
+    return next(new ApiError('This ticket already has a pending transfer', 400));
+  }
+
+  // The offer lapses after a few days, and at the latest when the event starts
+  const expiresAt = new Date(Math.min(
+    Date.now() + TRANSFER_HOURS * 60 * 60 * 1000,
+    ticket.event.dateTime.start.getTime()
+  ));
+
+  const transfer = await Transfer.create({
+    ticket: ticket._id,
+    event: ticket.event._id,
+    fromUser: req.user._id,
+    toEmail,
+    message,
+    expiresAt
+  });
+
+  const note = message ? `\n "${message}"\n` : '';
+  await sendEmail({
+    email: toEmail,
+    subject: `${req.user.name} sent you a ticket for ${ticket.event.title}`,
+    message: `Hi,\n ${req.user.name} wants to transfer their ticket for "${ticket.event.title}" to you.${note} Sign in with this email address and accept transfer ${transfer._id} before ${expiresAt.toISOString()} to receive it. \n The Events Team`
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Transfer sent, waiting for the recipient to accept',
+    data: transfer
+  });
+});
+
+// Get transfers waiting for my answer
+// GET /api/v1/transfers/incoming
+// Private/User
+exports.getIncomingTransfers = asyncHandler(async (req, res, next) => {
+  const transfers = await Transfer.find({
+    toEmail: req.user.email,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('event', 'title dateTime venue coverImage')
+    .populate('fromUser', 'name')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: transfers.length,
+    data: transfers
+  });
+});
+
+// Get transfers I sent
+// GET /api/v1/transfers/outgoing
+// Private/User
+exports.getOutgoingTransfers = asyncHandler(async (req, res, next) => {
+  let filter = { fromUser: req.user._id };
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const transfers = await Transfer.find(filter)
+    .populate('event', 'title dateTime')
+    .populate('ticket', 'ticketNumber seatInfo')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: transfers.length,
+    data: transfers
+  });
+});
+
+// Load a transfer addressed to the current user that can still be answered
+const findOpenIncomingTransfer = async (id, user) => {
+  const transfer = await Transfer.findOne({ _id: id, toEmail: user.email });
+  if (!transfer) {
+    throw new ApiError(`No transfer found for this id ${id}`, 404);
+  }
+  if (!transfer.isOpen) {
+    throw new ApiError('This transfer is no longer open', 400);
+  }
+  return transfer;
+};
+
+// Accept a ticket transfer, the ticket and a new QR code move to me
+// POST /api/v1/transfers/:id/accept
+// Private/User
+exports.acceptTransfer = asyncHandler(async (req, res, next) => {
+  const transfer = await findOpenIncomingTransfer(req.params.id, req.user);
+  const oldTicket = await Ticket.findById(transfer.ticket).populate('event', 'title allowTransfers');
+
+  if (!oldTicket.event.allowTransfers) {
+    return next(new ApiError('The organizer does not allow ticket transfers for this event', 400));
+  }
+  const oldImage = oldTicket.qrCode.image;
+
+  // Move ownership and invalidate the old QR data in one transaction
+  const ticket = await runInTransaction(async (session) => {
+    const accepted = await Transfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'pending', expiresAt: { $gt: new Date() } },
+      { status: 'accepted', toUser: req.user._id, respondedAt: new Date() },
+      { new: true, session }
+    );
+    if (!accepted) {
+      throw new ApiError('This transfer is no longer open', 400);
+    }
+
+    const transferred = await Ticket.findOne({
+      _id: transfer.ticket,
+      user: transfer.fromUser,
+      status: 'active',
+      'checkIn.isCheckedIn': false
+    }).session(session);
+    if (!transferred) {
+      throw new ApiError('This ticket can no longer be transferred', 400);
+    }
+
+    transferred.user = req.user._id;
+    transferred.attendeeInfo = req.body.attendeeInfo || {
+      name: req.user.name,
+      email: req.user.email,
+      phone: req.user.phone
+    };
+    reissueQRData(transferred);
+    await transferred.save({ session });
+    return transferred;
+  });
+
+  // Render the new QR code and drop the old image
+  await attachQRCode(ticket);
+  if (oldImage) {
+    await deleteQRCode(oldImage);
+  }
+  await refreshWalletPasses({ _id: ticket._id });
+
+  const sender = await transfer.populate('fromUser', 'name email');
+  await sendEmail({
+    email: sender.fromUser.email,
+    subject: `Your ticket for ${oldTicket.event.title} was transferred`,
+    message: `Hi ${sender.fromUser.name},\n ${req.user.name} accepted your ticket for "${oldTicket.event.title}". The ticket is no longer valid for you. \n The Events Team`
+  });
+
+  const populatedTicket = await Ticket.findById(ticket._id)
+    .populate('event', 'title dateTime venue coverImage')
+    .populate('user', 'name email');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ticket transferred to you',
+    data: populatedTicket
+  });
+});
+
+// Decline a ticket transfer
+// POST /api/v1/transfers/:id/decline
+// Private/User
+exports.declineTransfer = asyncHandler(async (req, res, next) => {
+  const transfer = await findOpenIncomingTransfer(req.params.id, req.user);
+
+  transfer.status = 'declined';
+  transfer.respondedAt = new Date();
+  await transfer.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Transfer declined',
+    data: transfer
+  });
+});
+
+// Cancel a transfer I sent before it is accepted
+// DELETE /api/v1/transfers/:id
+// Private/User
+exports.cancelTransfer = asyncHandler(async (req, res, next) => {
+  const transfer = await Transfer.findOneAndUpdate(
+    { _id: req.params.id, fromUser: req.user._id, status: 'pending' },
+    { status: 'cancelled', respondedAt: new Date() },
+    { new: true }
+  );
+
+  if (!transfer) {
+    return next(new ApiError(`No pending transfer found for this id ${req.params.id}`, 404));
+  }
+
+  res.status(204).send();
+});
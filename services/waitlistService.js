@@ -0,0 +1,314 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const sendEmail = require('../utils/sendEmail');
+const Event = require('../models/eventModel');
+const Hold = require('../models/holdModel');
+const Waitlist = require('../models/waitlistModel');
+const {
+  runInTransaction,
+  resolveTicketType,
+  holdSeats,
+  releaseHeldSeats
+} = require('./bookingService');
+
+const OFFER_MINUTES = 60;
+
+// Only the event organizer or an admin can manage its waitlist
+const assertCanManageEvent = (event, user) => {
+  if (!event) {
+    throw new ApiError('Event not found', 404);
+  }
+  if (event.organizer.toString() !== user._id.toString() && user.role !== 'admin') {
+    throw new ApiError('You can only manage the waitlist of your own events', 403);
+  }
+};
+
+// Hold seats for the next person in line and mark their entry as offered
+const makeOffer = async (entry, event, seats) => {
+  const ticketType = entry.ticketType && entry.ticketType.typeId
+    ? { _id: entry.ticketType.typeId, name: entry.ticketType.name }
+    : null;
+  const expiresAt = new Date(Date.now() + OFFER_MINUTES * 60 * 1000);
+
+  try {
+    return await runInTransaction(async (session) => {
+      const offered = await Waitlist.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { status: 'offered', 'offer.offeredAt': new Date(), 'offer.expiresAt': expiresAt },
+        { new: true, session }
+      );
+      if (!offered) return null;
+
+      await holdSeats(event._id, entry.quantity, session, ticketType);
+
+      const [hold] = await Hold.create([{
+        event: event._id,
+        user: entry.user,
+        ticketType: entry.ticketType,
+        seats,
+        quantity: entry.quantity,
+        expiresAt
+      }], { session });
+
+      offered.offer.hold = hold._id;
+      await offered.save({ session });
+      return offered;
+    });
+  } catch (error) {
+    // Not enough seats for this entry yet, keep it waiting
+    if (error.isOperational) return null;
+    throw error;
+  }
+};
+
+// Tell the user about their offer
+const notifyOffer = async (entry, event) => {
+  const populated = await entry.populate('user', 'name email');
+  const message = `Hi ${populated.user.name},\n Good news! ${entry.quantity} seat(s) for "${event.title}" just became available and are held for you until ${entry.offer.expiresAt.toISOString()}. \n Book them using hold id ${entry.offer.hold} before the offer expires, after that they will go to the next person on the waitlist. \n The Events Team`;
+  await sendEmail({
+    email: populated.user.email,
+    subject: `Seats available for ${event.title}`,
+    message
+  });
+};
+
+// Offer freed seats to the people waiting for them, in order of joining.
+// Never throws: freeing seats must not fail because of the waitlist
+exports.offerFreedSeats = async (eventId, { ticketTypeId, seats = [] } = {}) => {
+  const offers = [];
+  try {
+    const event = await Event.findById(eventId);
+    if (!event || event.status !== 'published' || event.dateTime.start <= new Date()) {
+      return offers;
+    }
+
+    let remainingSeats = [...seats];
+    const nextInLine = () => {
+      const filter = { event: eventId, status: 'waiting' };
+      if (ticketTypeId) filter['ticketType.typeId'] = ticketTypeId;
+      if (event.hasSeatMap()) filter.quantity = { $lte: remainingSeats.length };
+      return Waitlist.findOne(filter).sort('createdAt');
+    };
+
+    let entry = await nextInLine();
+    while (entry) {
+      const offerSeats = event.hasSeatMap() ? remainingSeats.slice(0, entry.quantity) : [];
+      const offered = await makeOffer(entry, event, offerSeats);
+      if (!offered) break;
+
+      remainingSeats = remainingSeats.slice(offerSeats.length);
+      offers.push(offered);
+      await notifyOffer(offered, event);
+      entry = await nextInLine();
+    }
+  } catch (error) {
+    console.error(`Waitlist offer error for event ${eventId}: ${error.message}`);
+  }
+  return offers;
+};
+
+// Close the waitlist entry of a released hold and pass its seats on
+exports.handleReleasedHold = async (hold, status = 'expired') => {
+  await Waitlist.updateOne(
+    { 'offer.hold': hold._id, status: 'offered' },
+    { status }
+  );
+  return exports.offerFreedSeats(hold.event, {
+    ticketTypeId: hold.ticketType && hold.ticketType.typeId,
+    seats: hold.seats
+  });
+};
+
+// Join the waitlist of a sold out event
+// POST /api/v1/events/:eventId/waitlist
+// Private/User
+exports.joinWaitlist = asyncHandler(async (req, res, next) => {
+  const { eventId } = req.params;
+  const quantity = req.body.quantity * 1 || 1;
+
+  const event = await Event.findById(eventId);
+  if (!event || event.status !== 'published') {
+    return next(new ApiError('Event is not available for booking', 400));
+  }
+
+  if (new Date() > event.dateTime.start) {
+    return next(new ApiError('Cannot join the waitlist of past events', 400));
+  }
+
+  const ticketType = resolveTicketType(event, req.body.ticketTypeId, quantity, false);
+  const available = ticketType ? ticketType.available : event.capacity.availableSeats;
+  if (available >= quantity) {
+    return next(new ApiError('Seats are still available, book them directly', 400));
+  }
+
+  const existingEntry = await Waitlist.findOne({
+    event: eventId,
+    user: req.user._id,
+    status: { $in: ['waiting', 'offered'] }
+  });
+  if (existingEntry) {
+    return next(new ApiError('You are already on the waitlist for this event', 400));
+  }
+
+  const entry = await Waitlist.create({
+    event: eventId,
+    user: req.user._id,
+    ticketType: ticketType ? { typeId: ticketType._id, name: ticketType.name } : undefined,
+    quantity
+  });
+
+  const position = await Waitlist.countDocuments({
+    event: eventId,
+    status: 'waiting',
+    createdAt: { $lte: entry.createdAt }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'You joined the waitlist',
+    data: { ...entry.toJSON(), position }
+  });
+});
+
+// Get my waitlist entry and position
+// GET /api/v1/events/:eventId/waitlist/me
+// Private/User
+exports.getMyWaitlistEntry = asyncHandler(async (req, res, next) => {
+  const entry = await Waitlist.findOne({
+    event: req.params.eventId,
+    user: req.user._id,
+    status: { $in: ['waiting', 'offered'] }
+  });
+
+  if (!entry) {
+    return next(new ApiError('You are not on the waitlist for this event', 404));
+  }
+
+  const position = entry.status === 'waiting'
+    ? await Waitlist.countDocuments({
+      event: entry.event,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    })
+    : 0;
+
+  res.status(200).json({
+    status: 'success',
+    data: { ...entry.toJSON(), position }
+  });
+});
+
+// Cancel a waitlist entry, releasing any seats offered to it
+const closeEntry = async (entry, status) => {
+  if (entry.status === 'offered' && entry.offer.hold) {
+    const hold = await runInTransaction(async (session) => {
+      const released = await Hold.findOneAndUpdate(
+        { _id: entry.offer.hold, status: 'active' },
+        { status: 'released', releasedAt: new Date() },
+        { new: true, session }
+      );
+      if (released) {
+        await releaseHeldSeats(released.event, released.quantity, session, released.ticketType && released.ticketType.typeId);
+      }
+      entry.status = status;
+      await entry.save({ session });
+      return released;
+    });
+    if (hold) {
+      await exports.offerFreedSeats(hold.event, {
+        ticketTypeId: hold.ticketType && hold.ticketType.typeId,
+        seats: hold.seats
+      });
+    }
+    return;
+  }
+
+  entry.status = status;
+  await entry.save();
+};
+
+// Leave the waitlist
+// DELETE /api/v1/events/:eventId/waitlist/me
+// Private/User
+exports.leaveWaitlist = asyncHandler(async (req, res, next) => {
+  const entry = await Waitlist.findOne({
+    event: req.params.eventId,
+    user: req.user._id,
+    status: { $in: ['waiting', 'offered'] }
+  });
+
+  if (!entry) {
+    return next(new ApiError('You are not on the waitlist for this event', 404));
+  }
+
+  await closeEntry(entry, 'cancelled');
+  res.status(204).send();
+});
+
+// Get the waitlist queue of an event
+// GET /api/v1/events/:eventId/waitlist
+// Private/Admin-Manager
+exports.getEventWaitlist = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  assertCanManageEvent(event, req.user);
+
+  let filter = { event: event._id };
+  filter.status = req.query.status || { $in: ['waiting', 'offered'] };
+
+  const entries = await Waitlist.find(filter)
+    .populate('user', 'name email phone')
+    .sort('createdAt');
+
+  let position = 0;
+  const queue = entries.map((entry) => {
+    if (entry.status === 'waiting') position += 1;
+    return { ...entry.toJSON(), position: entry.status === 'waiting' ? position : null };
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: queue.length,
+    data: queue
+  });
+});
+
+// Remove someone from the waitlist
+// DELETE /api/v1/events/:eventId/waitlist/:id
+// Private/Admin-Manager
+exports.removeWaitlistEntry = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  assertCanManageEvent(event, req.user);
+
+  const entry = await Waitlist.findOne({
+    _id: req.params.id,
+    event: event._id,
+    status: { $in: ['waiting', 'offered'] }
+  });
+
+  if (!entry) {
+    return next(new ApiError(`No active waitlist entry for this id ${req.params.id}`, 404));
+  }
+
+  await closeEntry(entry, 'removed');
+  res.status(204).send();
+});
+
+// Offer currently available seats to the waitlist (e.g. after adding capacity)
+// POST /api/v1/events/:eventId/waitlist/offers
+// Private/Admin-Manager
+exports.sendWaitlistOffers = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  assertCanManageEvent(event, req.user);
+
+  const ticketTypes = event.ticketTypes.length > 0 ? event.ticketTypes.map((type) => type._id) : [undefined];
+  const offers = [];
+  for (const ticketTypeId of ticketTypes) {
+    offers.push(...(await exports.offerFreedSeats(event._id, { ticketTypeId, seats: req.body.seats })));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: offers.length,
+    data: offers
+  });
+});
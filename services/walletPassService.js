@@ -0,0 +1,129 @@
+const asyncHandler = require('express-async-handler');
+const ApiError = require('../utils/apiError');
+const sendEmail = require('../utils/sendEmail');
+const Ticket = require('../models/ticketModel');
+const { passFingerprint, buildApplePass, buildGoogleSaveUrl } = require('../utils/walletPass');
+
+// Load a ticket its holder (or an admin) can add to a wallet
+const findWalletTicket = async (id, user) => {
+  const ticket = await Ticket.findById(id).populate('event', 'title dateTime venue coverImage');
+  if (!ticket) {
+    throw new ApiError(`No ticket found for this id ${id}`, 404);
+  }
+  if (ticket.user.toString() !== user._id.toString() && user.role !== 'admin') {
+    throw new ApiError('You can only add your own tickets to a wallet', 403);
+  }
+  if (ticket.status !== 'active' || !ticket.qrCode.data) {
+    throw new ApiError('Only active tickets can be added to a wallet', 400);
+  }
+  return ticket;
+};
+
+// Remember which version of the pass the holder got
+const recordIssuedPass = (ticket) =>
+  Ticket.updateOne(
+    { _id: ticket._id },
+    {
+      'wallet.fingerprint': passFingerprint(ticket, ticket.event),
+      'wallet.issuedAt': new Date()
+    }
+  );
+
+// Download the Apple Wallet pass of a ticket
+// GET /api/v1/tickets/:id/wallet/apple
+// Private/User
+exports.getApplePass = asyncHandler(async (req, res, next) => {
+  const ticket = await findWalletTicket(req.params.id, req.user);
+  const pass = await buildApplePass(ticket, ticket.event);
+  await recordIssuedPass(ticket);
+
+  res.set({
+    'Content-Type': 'application/vnd.apple.pkpass',
+    'Content-Disposition': `attachment; filename="${ticket.ticketNumber}.pkpass"`
+  });
+  res.status(200).send(pass);
+});
+
+// Get the Google Wallet save link of a ticket
+// GET /api/v1/tickets/:id/wallet/google
+// Private/User
+exports.getGooglePass = asyncHandler(async (req, res, next) => {
+  const ticket = await findWalletTicket(req.params.id, req.user);
+  const saveUrl = buildGoogleSaveUrl(ticket, ticket.event);
+  await recordIssuedPass(ticket);
+
+  res.status(200).json({
+    status: 'success',
+    data: { saveUrl }
+  });
+});
+
+// The regenerated passes of a ticket (with its event populated), ready to email: the Apple pass
+// as an attachment and the Google save link itself (the download routes need a login a mail
+// client does not have). A wallet that is not configured is left out
+const regeneratedPasses = async (ticket) => {
+  const passes = { attachments: [], lines: [] };
+  try {
+    passes.attachments.push({
+      filename: `${ticket.ticketNumber}.pkpass`,
+      content: await buildApplePass(ticket, ticket.event),
+      contentType: 'application/vnd.apple.pkpass'
+    });
+    passes.lines.push('Apple Wallet: open the attached pass');
+  } catch (error) {
+    console.error(`Apple Wallet pass failed for ticket ${ticket.ticketNumber}: ${error.message}`);
+  }
+  try {
+    passes.lines.push(`Google Wallet: ${buildGoogleSaveUrl(ticket, ticket.event)}`);
+  } catch (error) {
+    console.error(`Google Wallet link failed for ticket ${ticket.ticketNumber}: ${error.message}`);
+  }
+  return passes;
+};
+
+exports.regeneratedPasses = regeneratedPasses;
+
+// Remember that the holder was sent the current version of the pass
+const recordRefreshedPass = (ticket) =>
+  Ticket.updateOne(
+    { _id: ticket._id },
+    {
+      'wallet.fingerprint': passFingerprint(ticket, ticket.event),
+      'wallet.updatedAt': new Date()
+    }
+  );
+
+exports.recordRefreshedPass = recordRefreshedPass;
+
+// Send holders the regenerated pass when what their wallet pass shows has changed,
+// e.g. after a transfer (new QR code and holder) or when the event moves.
+// The new fingerprint is only recorded once the holder was sent the new pass, so a failed
+// email is retried on the next refresh
+exports.refreshWalletPasses = async (filter) => {
+  const tickets = await Ticket.find({ ...filter, status: 'active', 'wallet.fingerprint': { $exists: true } })
+    .populate('event', 'title dateTime venue coverImage');
+
+  let refreshed = 0;
+  for (const ticket of tickets) {
+    const fingerprint = passFingerprint(ticket, ticket.event);
+    if (fingerprint === ticket.wallet.fingerprint) continue;
+
+    const passes = await regeneratedPasses(ticket);
+    if (passes.lines.length === 0) continue;
+
+    const sent = await sendEmail({
+      email: ticket.attendeeInfo.email,
+      subject: `Your wallet pass for ${ticket.event.title} was updated`,
+      message: `Hi ${ticket.attendeeInfo.name},\n Your ticket for "${ticket.event.title}" has changed and the pass in your wallet is out of date. Replace it with the new pass: \n ${passes.lines.join(' \n ')} \n The Events Team`,
+      attachments: passes.attachments
+    });
+    if (!sent) {
+      console.error(`Wallet pass email failed for ticket ${ticket.ticketNumber}`);
+      continue;
+    }
+
+    await recordRefreshedPass(ticket);
+    refreshed += 1;
+  }
+  return refreshed;
+};
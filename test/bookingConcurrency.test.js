@@ -0,0 +1,112 @@
+// Parallel bookings against a one-seat event: exactly one of them gets the seat.
+// Runs on an in-memory MongoDB replica set (the booking transactions need one),
+// set TEST_DB_URI to use an existing replica set instead
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+process.env.QR_SIGNING_KEYS = 'test:concurrency-test-secret';
+process.env.QR_ACTIVE_KEY_ID = 'test';
+
+const Category = require('../models/categoryModel');
+const User = require('../models/userModel');
+const Event = require('../models/eventModel');
+const Ticket = require('../models/ticketModel');
+const { bookTicket } = require('../services/ticketService');
+const { deleteQRCode } = require('../services/qrCodeService');
+
+const PARALLEL_BOOKINGS = 10;
+
+let replSet;
+
+before(async () => {
+  let uri = process.env.TEST_DB_URI;
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    uri = replSet.getUri();
+  }
+  await mongoose.connect(uri, { dbName: `booking-concurrency-${Date.now()}` });
+  await Promise.all([Event.createCollection(), Ticket.init()]);
+});
+
+after(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  if (replSet) await replSet.stop();
+});
+
+// Call the bookTicket handler the way express would and settle with the outcome
+const book = (user, eventId) =>
+  new Promise((resolve) => {
+    const req = {
+      body: { eventId, paymentMethod: 'cash' },
+      user,
+      ip: '127.0.0.1',
+      get: () => 'booking-concurrency-test'
+    };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ ok: true, statusCode: this.statusCode, body });
+      }
+    };
+    bookTicket(req, res, (error) => resolve({ ok: false, error }));
+  });
+
+test('parallel bookings at a one-seat event sell the seat once', async () => {
+  const organizer = await User.create({
+    name: 'Organizer',
+    email: 'organizer@example.com',
+    password: 'password',
+    role: 'manager'
+  });
+  const category = await Category.create({ name: 'Concurrency' });
+  const start = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const event = await Event.create({
+    title: 'One seat event',
+    description: 'An event with a single seat to book',
+    category: category._id,
+    organizer: organizer._id,
+    coverImage: 'cover.png',
+    venue: { name: 'Hall', address: '1 Main Street', city: 'Cairo' },
+    dateTime: { start, end: new Date(start.getTime() + 2 * 60 * 60 * 1000) },
+    pricing: { ticketPrice: 100 },
+    capacity: { totalSeats: 1 },
+    status: 'published'
+  });
+
+  const buyers = await User.insertMany(
+    Array.from({ length: PARALLEL_BOOKINGS }, (_, index) => ({
+      name: `Buyer ${index}`,
+      email: `buyer${index}@example.com`,
+      password: 'password'
+    }))
+  );
+
+  const outcomes = await Promise.all(buyers.map((buyer) => book(buyer, String(event._id))));
+  const booked = outcomes.filter((outcome) => outcome.ok);
+  const rejected = outcomes.filter((outcome) => !outcome.ok);
+
+  assert.strictEqual(booked.length, 1, 'exactly one booking succeeds');
+  assert.strictEqual(booked[0].statusCode, 201);
+  assert.strictEqual(rejected.length, PARALLEL_BOOKINGS - 1);
+  rejected.forEach(({ error }) => {
+    assert.strictEqual(error.statusCode, 400, error.message);
+    assert.match(error.message, /No seats available/);
+  });
+
+  const stored = await Event.findById(event._id);
+  assert.strictEqual(stored.capacity.availableSeats, 0);
+  assert.strictEqual(stored.capacity.soldSeats, 1);
+  assert.strictEqual(await Ticket.countDocuments({ event: event._id }), 1);
+
+  if (booked[0].body.data.qrCode.image) {
+    await deleteQRCode(booked[0].body.data.qrCode.image);
+  }
+});
@@ -2,6 +2,7 @@ const QRCode = require('qrcode');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { signQRToken, verifyQRToken } = require('./qrToken');
 
 class QRGenerator {
   constructor() {
@@ -146,7 +147,8 @@ class QRGenerator {
         attendeeName,
         seatNumber,
         eventDate,
-        venue
+        venue,
+        validUntil
       } = ticketData;
 
       // Create structured QR data
@@ -167,7 +169,7 @@ class QRGenerator {
 
       const filename = `ticket-${ticketNumber}-${Date.now()}`;
       
-      const result = await this.generateSingle(JSON.stringify(qrData), {
+      const result = await this.generateSingle(signQRToken(qrData, validUntil), {
         filename,
         size: 300,
         margin: 3,
@@ -214,7 +216,7 @@ class QRGenerator {
 
       const filename = `checkin-${eventId}-${Date.now()}`;
       
-      const result = await this.generateSingle(JSON.stringify(qrData), {
+      const result = await this.generateSingle(signQRToken(qrData, validUntil), {
         filename,
         size: 400,
         darkColor: '#1F2937',
@@ -238,10 +240,10 @@ class QRGenerator {
     }
   }
 
-  // Validate QR code data
+  // Validate QR code data (signature and expiry are checked first)
   async validateQRData(qrString) {
     try {
-      const qrData = JSON.parse(qrString);
+      const qrData = verifyQRToken(qrString);
       
       // Basic structure validation
       const requiredFields = ['type', 'version'];
@@ -272,7 +274,7 @@ class QRGenerator {
     } catch (error) {
       return {
         valid: false,
-        error: 'Invalid QR code format - not valid JSON',
+        error: error.message,
         data: null
       };
     }
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const ApiError = require('../apiError');
+
+// Deterministic gateway for tests and offline development.
+// The outcome is picked by the payment method id, like Stripe test cards:
+//   pm_card_visa (or none)   -> completed
+//   pm_card_chargeDeclined   -> failed
+//   pm_card_pending          -> pending until a payment.completed or payment.failed webhook
+//                               for it comes in, or it is cancelled (then failed)
+// The outcome is encoded in the payment id, settlements, cancellations and refunds
+// are only kept in memory and are lost on restart.
+const OUTCOMES = {
+  pm_card_visa: 'completed',
+  pm_card_chargeDeclined: 'failed',
+  pm_card_pending: 'pending'
+};
+
+const refunded = new Map();
+const settled = new Set();
+const cancelled = new Set();
+
+const parseId = (paymentId) => {
+  const [prefix, status, amount, currency] = (paymentId || '').split('_');
+  if (prefix !== 'fake' || !status || !amount || !currency) {
+    throw new ApiError(`No fake payment found for id ${paymentId}`, 404);
+  }
+  return { status, amount: Number(amount) / 100, currency };
+};
+
+const toPayment = (paymentId) => {
+  const { status, amount, currency } = parseId(paymentId);
+  let currentStatus = status;
+  if (status === 'pending' && settled.has(paymentId)) currentStatus = 'completed';
+  if (cancelled.has(paymentId)) currentStatus = 'failed';
+
+  return {
+    id: paymentId,
+    status: currentStatus,
+    amount,
+    currency,
+    clientSecret: `${paymentId}_secret`,
+    failureReason: currentStatus === 'failed' ? 'Your card was declined.' : undefined
+  };
+};
+
+exports.createPayment = async ({ amount, currency, paymentMethodId = 'pm_card_visa' }) => {
+  const status = OUTCOMES[paymentMethodId];
+  if (!status) {
+    throw new ApiError(`Unknown fake payment method ${paymentMethodId}`, 400);
+  }
+
+  const paymentId = `fake_${status}_${Math.round(amount * 100)}_${currency}_${uuidv4().replace(/-/g, '')}`;
+  return toPayment(paymentId);
+};
+
+exports.retrievePayment = async (paymentId) => toPayment(paymentId);
+
+exports.cancelPayment = async (paymentId) => {
+  const payment = toPayment(paymentId);
+  if (payment.status === 'pending') cancelled.add(paymentId);
+  return toPayment(paymentId);
+};
+
+exports.refund = async (paymentId, amount) => {
+  const payment = toPayment(paymentId);
+  if (payment.status !== 'completed') {
+    throw new ApiError('Only completed payments can be refunded', 400);
+  }
+
+  const refundAmount = amount !== undefined ? amount : payment.amount;
+  const total = (refunded.get(paymentId) || 0) + refundAmount;
+  if (total > payment.amount) {
+    throw new ApiError('Refund exceeds the amount paid', 400);
+  }
+  refunded.set(paymentId, total);
+
+  return {
+    id: `fake_re_${uuidv4().replace(/-/g, '')}`,
+    status: 'completed',
+    amount: refundAmount
+  };
+};
+
+// Webhooks are JSON bodies of the form
+//   { id, type: 'payment.completed' | 'payment.failed' | 'payment.refunded', created, data: { paymentId } }
+// signed with an HMAC-SHA256 of the raw body
+const WEBHOOK_STATUSES = {
+  'payment.completed': 'completed',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+// Webhooks are refused until FAKE_WEBHOOK_SECRET is set, a known secret would let anyone settle bookings
+const webhookSecret = () => {
+  if (!process.env.FAKE_WEBHOOK_SECRET) {
+    throw new ApiError('Fake payment webhooks are not configured', 500);
+  }
+  return process.env.FAKE_WEBHOOK_SECRET;
+};
+
+// Header carrying the webhook signature
+exports.webhookSignatureHeader = 'x-fake-signature';
+
+// Sign a webhook body, for tests and local development
+exports.signWebhook = (rawBody) =>
+  crypto.createHmac('sha256', webhookSecret()).update(rawBody).digest('hex');
+
+// Verify a webhook signature and turn the event into { id, type, paymentId, status, occurredAt, payload }
+exports.parseWebhook = (rawBody, signature) => {
+  const expected = Buffer.from(exports.signWebhook(rawBody));
+  const received = Buffer.from(signature || '');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new ApiError('Invalid webhook signature', 400);
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString());
+  } catch (error) {
+    throw new ApiError('Invalid webhook payload', 400);
+  }
+
+  // The webhook stands in for the gateway finishing a pending payment
+  const paymentId = event.data && event.data.paymentId;
+  const status = WEBHOOK_STATUSES[event.type];
+  const pending = (paymentId || '').startsWith('fake_pending_') && !settled.has(paymentId) && !cancelled.has(paymentId);
+  if (pending && status === 'completed') settled.add(paymentId);
+  if (pending && status === 'failed') cancelled.add(paymentId);
+
+  return {
+    id: event.id,
+    type: event.type,
+    paymentId,
+    status,
+    occurredAt: event.created ? new Date(event.created * 1000) : new Date(),
+    payload: event
+  };
+};
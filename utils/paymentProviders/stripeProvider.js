@@ -0,0 +1,134 @@
+const Stripe = require('stripe');
+const ApiError = require('../apiError');
+
+let client;
+
+// Create the Stripe client on first use so the app can start without a key
+const getClient = () => {
+  if (!client) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new ApiError('Stripe is not configured', 500);
+    }
+    client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+// Stripe works in the smallest currency unit
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+// Map a PaymentIntent status to our payment status
+const mapStatus = (intent) => {
+  if (intent.status === 'succeeded') return 'completed';
+  if (intent.status === 'canceled') return 'failed';
+  if (intent.status === 'requires_payment_method' && intent.last_payment_error) return 'failed';
+  return 'pending';
+};
+
+const toPayment = (intent) => ({
+  id: intent.id,
+  status: mapStatus(intent),
+  amount: intent.amount / 100,
+  currency: intent.currency.toUpperCase(),
+  clientSecret: intent.client_secret,
+  failureReason: intent.last_payment_error ? intent.last_payment_error.message : undefined
+});
+
+// Create a PaymentIntent, confirming it right away when a payment method is given
+exports.createPayment = async ({ amount, currency, paymentMethodId, description, metadata }) => {
+  const params = {
+    amount: toMinorUnits(amount),
+    currency: currency.toLowerCase(),
+    description,
+    metadata
+  };
+
+  if (paymentMethodId) {
+    params.payment_method = paymentMethodId;
+    params.confirm = true;
+    params.automatic_payment_methods = { enabled: true, allow_redirects: 'never' };
+  } else {
+    params.automatic_payment_methods = { enabled: true };
+  }
+
+  try {
+    const intent = await getClient().paymentIntents.create(params);
+    return toPayment(intent);
+  } catch (error) {
+    // A declined card still leaves a failed PaymentIntent behind
+    if (error.type === 'StripeCardError' && error.payment_intent) {
+      return toPayment(error.payment_intent);
+    }
+    throw error;
+  }
+};
+
+// Get the current state of a PaymentIntent
+exports.retrievePayment = async (paymentId) => {
+  const intent = await getClient().paymentIntents.retrieve(paymentId);
+  return toPayment(intent);
+};
+
+// Cancel a PaymentIntent that was never paid
+exports.cancelPayment = async (paymentId) => {
+  const intent = await getClient().paymentIntents.cancel(paymentId);
+  return toPayment(intent);
+};
+
+// Refund a PaymentIntent, fully or partially
+exports.refund = async (paymentId, amount) => {
+  const params = { payment_intent: paymentId };
+  if (amount !== undefined) params.amount = toMinorUnits(amount);
+
+  const refund = await getClient().refunds.create(params);
+  let status = 'pending';
+  if (refund.status === 'succeeded') status = 'completed';
+  if (refund.status === 'failed' || refund.status === 'canceled') status = 'failed';
+
+  return {
+    id: refund.id,
+    status,
+    amount: refund.amount / 100
+  };
+};
+
+// Payment status carried by the webhook events we act on
+const webhookStatus = (event) => {
+  const object = event.data.object;
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return { paymentId: object.id, status: 'completed' };
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+      return { paymentId: object.id, status: 'failed' };
+    case 'charge.refunded':
+      return { paymentId: object.payment_intent, status: object.refunded ? 'refunded' : undefined };
+    default:
+      return { paymentId: object.payment_intent || undefined, status: undefined };
+  }
+};
+
+// Header carrying the webhook signature
+exports.webhookSignatureHeader = 'stripe-signature';
+
+// Verify a webhook signature and turn the event into { id, type, paymentId, status, occurredAt, payload }
+exports.parseWebhook = (rawBody, signature) => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new ApiError('Stripe webhooks are not configured', 500);
+  }
+
+  let event;
+  try {
+    event = Stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    throw new ApiError(`Invalid webhook signature: ${error.message}`, 400);
+  }
+
+  return {
+    id: event.id,
+    type: event.type,
+    ...webhookStatus(event),
+    occurredAt: new Date(event.created * 1000),
+    payload: event
+  };
+};
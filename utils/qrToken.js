@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const ApiError = require('./apiError');
+
+// QR codes carry compact signed tokens: <keyId>.<payload>.<signature>
+// - payload is base64url JSON, with an optional `exp` (unix seconds)
+// - signature is an HMAC-SHA256 of "<keyId>.<payload>"
+// Keys come from QR_SIGNING_KEYS ("k1:secret1,k2:secret2") and new tokens are
+// signed with QR_ACTIVE_KEY_ID. To rotate, add a key, make it active, and drop
+// the old one once the tokens it signed have expired.
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// Read the signing keys from the environment
+const loadKeys = () => {
+  const keys = {};
+  (process.env.QR_SIGNING_KEYS || '').split(',').forEach((entry) => {
+    const separator = entry.indexOf(':');
+    if (separator < 1) return;
+    const keyId = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+    if (secret) keys[keyId] = secret;
+  });
+  return keys;
+};
+
+const sign = (secret, content) =>
+  crypto.createHmac('sha256', secret).update(content).digest();
+
+// Sign a QR payload with the active key, valid until `expiresAt` when given
+exports.signQRToken = (payload, expiresAt) => {
+  const keys = loadKeys();
+  const keyId = process.env.QR_ACTIVE_KEY_ID;
+  if (!keyId || !keys[keyId]) {
+    throw new ApiError('QR signing keys are not configured', 500);
+  }
+
+  const claims = { ...payload, iat: Math.floor(Date.now() / 1000) };
+  if (expiresAt) claims.exp = Math.floor(new Date(expiresAt).getTime() / 1000);
+
+  const content = `${keyId}.${toBase64Url(JSON.stringify(claims))}`;
+  return `${content}.${toBase64Url(sign(keys[keyId], content))}`;
+};
+
+// Verify a QR token's signature and expiry and return its payload.
+// Runs before any database lookup so forged codes cost nothing.
+// `at` is when the code was scanned, for scans recorded offline and synced later
+exports.verifyQRToken = (token, at = new Date()) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new ApiError('Invalid QR code', 400);
+  }
+  const [keyId, encodedPayload, signature] = parts;
+
+  const secret = loadKeys()[keyId];
+  if (!secret) {
+    throw new ApiError('QR code was signed with an unknown key', 400);
+  }
+
+  const expected = sign(secret, `${keyId}.${encodedPayload}`);
+  const received = Buffer.from(signature, 'base64url');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new ApiError('QR code signature is invalid', 400);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (error) {
+    throw new ApiError('Invalid QR code', 400);
+  }
+
+  if (payload.exp && payload.exp * 1000 < new Date(at).getTime()) {
+    throw new ApiError('QR code has expired', 400);
+  }
+
+  return payload;
+};
@@ -0,0 +1,98 @@
+// Expand an event series recurrence rule (a small subset of RFC 5545 RRULE) into occurrence start dates.
+// Rules are evaluated on the local time of the series timezone (IANA name, e.g. 'Africa/Cairo'), so
+// occurrences keep their local time of day across daylight saving changes:
+// - frequency: 'daily' | 'weekly' | 'monthly', every `interval` days / weeks / months
+// - byWeekday: weekly rules only, local days of the week (0 = Sunday), defaults to the weekday of the first occurrence
+// - monthly rules repeat on the day of month of the first occurrence and skip months without that day
+// - until / count end the series (like RRULE UNTIL / COUNT), exclusions drop single local dates (like EXDATE)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard cap on the occurrences one series can generate
+const MAX_OCCURRENCES = 100;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Whether a timezone name is known to the runtime
+exports.isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset of a timezone from UTC at a given instant, in milliseconds
+const zoneOffset = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Local wall-clock time of an instant, held in a Date whose UTC fields are the local ones
+const toWallTime = (date, timeZone) => new Date(date.getTime() + zoneOffset(date, timeZone));
+
+// Instant of a local wall-clock time (checked twice, the offset can change around the guess)
+const fromWallTime = (wall, timeZone) => {
+  const guess = new Date(wall.getTime() - zoneOffset(wall, timeZone));
+  return new Date(wall.getTime() - zoneOffset(guess, timeZone));
+};
+
+// Candidate starts (wall-clock times) for one step of the rule (one day, week or month)
+const candidatesAt = (first, { frequency, interval = 1, byWeekday = [] }, step) => {
+  if (frequency === 'daily') {
+    return [addDays(first, step * interval)];
+  }
+
+  if (frequency === 'weekly') {
+    const weekStart = addDays(first, step * interval * 7 - first.getUTCDay());
+    const weekdays = byWeekday.length > 0 ? [...new Set(byWeekday)].sort() : [first.getUTCDay()];
+    return weekdays.map((weekday) => addDays(weekStart, weekday)).filter((date) => date >= first);
+  }
+
+  const date = new Date(first);
+  date.setUTCMonth(first.getUTCMonth() + step * interval);
+  return date.getUTCDate() === first.getUTCDate() ? [date] : [];
+};
+
+// List the occurrence starts of a series, in order
+exports.expandOccurrences = (startsAt, recurrence, timeZone = 'UTC') => {
+  const first = toWallTime(new Date(startsAt), timeZone);
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+  const limit = Math.min(recurrence.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const excluded = new Set((recurrence.exclusions || []).map(dayKey));
+
+  const starts = [];
+  // Monthly rules can skip steps, stop after a generous number of empty ones
+  for (let step = 0; starts.length < limit && step < limit * 12; step += 1) {
+    const candidates = candidatesAt(first, recurrence, step)
+      .map((wall) => ({ wall, start: fromWallTime(wall, timeZone) }));
+    if (until && candidates.some(({ start }) => start > until)) {
+      starts.push(...candidates.filter(({ start }) => start <= until));
+      break;
+    }
+    starts.push(...candidates);
+  }
+
+  return starts
+    .slice(0, limit)
+    .filter(({ wall }) => !excluded.has(dayKey(wall)))
+    .map(({ start }) => start);
+};
+
+exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
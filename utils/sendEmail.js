@@ -19,11 +19,14 @@ const sendEmail = async (options) => {
       to: options.email,
       subject: options.subject,
       text: options.message,
+      attachments: options.attachments,
     };
 
     const info = await transporter.sendMail(mailOpts);
+    return true;
   } catch (error) {
     console.error("❌ Error sending email:", error);
+    return false;
   }
 };
 
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const EVENTS_DIR = path.join(__dirname, '..', 'uploads', 'events');
+const BRAND_COLOR = '#1f2a44';
+const MUTED_COLOR = '#6b7280';
+
+// Badge sheets are A4 with 2 x 4 badges, cut along the printed borders
+const BADGE_COLUMNS = 2;
+const BADGE_ROWS = 4;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleString('en-GB', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+const qrBuffer = (data, width) =>
+  QRCode.toBuffer(data, { type: 'png', margin: 1, width, errorCorrectionLevel: 'M' });
+
+// Event cover images live under uploads/events, skip them when the file is gone
+const coverImagePath = (event) => {
+  if (!event.coverImage) return null;
+  const filePath = path.join(EVENTS_DIR, path.basename(event.coverImage));
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+// Label + value pair on the ticket body
+const field = (doc, label, value, x, y, width) => {
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(label.toUpperCase(), x, y, { width });
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND_COLOR).text(value || '-', x, y + 12, { width });
+};
+
+// Render one ticket as a single A4 page and pipe it to `output`
+exports.renderTicketPdf = async (ticket, output) => {
+  const { event } = ticket;
+  const qr = await qrBuffer(ticket.qrCode.data, 400);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `${event.title} - ${ticket.ticketNumber}` } });
+  doc.pipe(output);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Cover banner, or a plain brand bar when the event has no cover
+  const cover = coverImagePath(event);
+  if (cover) {
+    doc.image(cover, left, 40, { width, height: width / 2, cover: [width, width / 2] });
+  } else {
+    doc.rect(left, 40, width, width / 2).fill(BRAND_COLOR);
+  }
+
+  let y = 60 + width / 2;
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(BRAND_COLOR).text(event.title, left, y, { width });
+  y = doc.y + 16;
+
+  const column = (width - 220) / 2;
+  field(doc, 'Date', formatDate(event.dateTime.start), left, y, column);
+  field(doc, 'Ticket', ticket.ticketType && ticket.ticketType.name, left + column, y, column);
+  y += 44;
+  field(doc, 'Venue', [event.venue.name, event.venue.address, event.venue.city].filter(Boolean).join(', '), left, y, column * 2);
+  y += 56;
+  const seat = [ticket.seatInfo.section, ticket.seatInfo.row, ticket.seatInfo.seatNumber].filter(Boolean).join(' / ');
+  field(doc, 'Seat', seat || 'General admission', left, y, column);
+  field(doc, 'Attendee', ticket.attendeeInfo.name, left + column, y, column);
+  y += 44;
+  field(doc, 'Ticket number', ticket.ticketNumber, left, y, column * 2);
+
+  const qrTop = 80 + width / 2;
+  doc.image(qr, left + width - 200, qrTop, { width: 200 });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text('Show this code at the entrance', left + width - 200, qrTop + 206, { width: 200, align: 'center' });
+
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(
+    'This ticket is personal. Any earlier copy stops working once the ticket is transferred or reissued.',
+    left,
+    doc.page.height - doc.page.margins.bottom - 20,
+    { width, align: 'center' }
+  );
+
+  doc.end();
+};
+
+// Render name badges for the given tickets, BADGE_COLUMNS x BADGE_ROWS per A4 page
+exports.renderBadgeSheet = async (event, tickets, output) => {
+  // Badges carry the ticket QR so staff can scan attendees back in
+  const codes = await Promise.all(
+    tickets.map((ticket) => (ticket.qrCode && ticket.qrCode.data ? qrBuffer(ticket.qrCode.data, 240) : null))
+  );
+
+  const doc = new PDFDocument({ size: 'A4', margin: 30, info: { Title: `${event.title} - Badges` } });
+  doc.pipe(output);
+
+  const { left, top } = doc.page.margins;
+  const badgeWidth = (doc.page.width - left * 2) / BADGE_COLUMNS;
+  const badgeHeight = (doc.page.height - top * 2) / BADGE_ROWS;
+  const perPage = BADGE_COLUMNS * BADGE_ROWS;
+
+  for (let i = 0; i < tickets.length; i += 1) {
+    const ticket = tickets[i];
+    if (i > 0 && i % perPage === 0) doc.addPage();
+
+    const slot = i % perPage;
+    const x = left + (slot % BADGE_COLUMNS) * badgeWidth;
+    const y = top + Math.floor(slot / BADGE_COLUMNS) * badgeHeight;
+    const inner = badgeWidth - 24;
+
+    doc.lineWidth(0.5).dash(4, { space: 3 }).strokeColor(MUTED_COLOR).rect(x, y, badgeWidth, badgeHeight).stroke().undash();
+    doc.rect(x, y, badgeWidth, 28).fill(BRAND_COLOR);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#ffffff')
+      .text(event.title, x + 12, y + 9, { width: inner, height: 14, ellipsis: true });
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_COLOR)
+      .text(ticket.attendeeInfo.name, x + 12, y + 48, { width: inner - 80, height: 50, ellipsis: true });
+    doc.font('Helvetica').fontSize(11).fillColor(MUTED_COLOR)
+      .text((ticket.ticketType && ticket.ticketType.name) || 'Attendee', x + 12, y + 104, { width: inner - 80 });
+    doc.fontSize(8).text(ticket.ticketNumber, x + 12, y + badgeHeight - 22, { width: inner - 80 });
+
+    if (codes[i]) {
+      doc.image(codes[i], x + badgeWidth - 88, y + 44, { width: 76 });
+    }
+  }
+
+  doc.end();
+};
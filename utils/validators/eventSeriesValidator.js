@@ -0,0 +1,161 @@
+const { check, body } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+const { MAX_OCCURRENCES, isValidTimeZone } = require('../recurrence');
+
+// Check the recurrence rule, `required` is false when updating a series
+const recurrenceValidator = (required) => [
+  (required
+    ? check('recurrence').notEmpty().withMessage('Recurrence rule is required')
+    : check('recurrence').optional())
+    .custom((recurrence) => {
+      if (recurrence && !recurrence.until && !recurrence.count) {
+        throw new Error('Recurrence rule needs an end date (until) or a number of occurrences (count)');
+      }
+      return true;
+    }),
+
+  check('recurrence.frequency')
+    .if(body('recurrence').exists())
+    .isIn(['daily', 'weekly', 'monthly'])
+    .withMessage('Recurrence frequency must be daily, weekly or monthly'),
+
+  check('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Recurrence interval must be between 1 and 52'),
+
+  check('recurrence.byWeekday')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Recurrence weekdays must be an array'),
+
+  check('recurrence.byWeekday.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Recurrence weekdays must be between 0 (Sunday) and 6 (Saturday), in the series timezone'),
+
+  check('recurrence.until')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid recurrence end date format'),
+
+  check('recurrence.count')
+    .optional()
+    .isInt({ min: 1, max: MAX_OCCURRENCES })
+    .withMessage(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`),
+
+  check('recurrence.exclusions')
+    .optional()
+    .isArray()
+    .withMessage('Recurrence exclusions must be an array of dates'),
+
+  check('recurrence.exclusions.*')
+    .isISO8601()
+    .withMessage('Invalid excluded date format'),
+];
+
+exports.createSeriesValidator = [
+  check('title')
+    .notEmpty()
+    .withMessage('Series title is required')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+
+  check('startsAt')
+    .notEmpty()
+    .withMessage('Series start date is required')
+    .isISO8601()
+    .withMessage('Invalid start date format')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Start date must be in the future');
+      }
+      return true;
+    }),
+
+  check('durationMinutes')
+    .notEmpty()
+    .withMessage('Occurrence duration is required')
+    .isInt({ min: 1 })
+    .withMessage('Occurrence duration must be at least 1 minute'),
+
+  check('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA timezone name such as Africa/Cairo (defaults to UTC)'),
+
+  ...recurrenceValidator(true),
+
+  check('template')
+    .notEmpty()
+    .withMessage('Event template is required')
+    .isObject()
+    .withMessage('Event template must be an object'),
+
+  check('template.description')
+    .notEmpty()
+    .withMessage('Event description is required')
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters'),
+
+  check('template.category')
+    .notEmpty()
+    .withMessage('Event category is required')
+    .isMongoId()
+    .withMessage('Invalid category id'),
+
+  check('template.venue.name')
+    .notEmpty()
+    .withMessage('Venue name is required'),
+
+  check('template.pricing.ticketPrice')
+    .notEmpty()
+    .withMessage('Ticket price is required')
+    .isFloat({ min: 0 })
+    .withMessage('Ticket price must be a positive number'),
+
+  check('template.capacity.totalSeats')
+    .notEmpty()
+    .withMessage('Total seats is required')
+    .isInt({ min: 1 })
+    .withMessage('Total seats must be at least 1'),
+
+  validatorMiddleware,
+];
+
+exports.getSeriesValidator = [
+  check('id').isMongoId().withMessage('Invalid event series id format'),
+  validatorMiddleware,
+];
+
+exports.updateSeriesValidator = [
+  check('id').isMongoId().withMessage('Invalid event series id format'),
+
+  check('title')
+    .optional()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+
+  check('startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date format'),
+
+  check('durationMinutes')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Occurrence duration must be at least 1 minute'),
+
+  check('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA timezone name such as Africa/Cairo'),
+
+  ...recurrenceValidator(false),
+
+  check('template')
+    .optional()
+    .isObject()
+    .withMessage('Event template must be an object'),
+
+  validatorMiddleware,
+];
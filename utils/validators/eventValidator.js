@@ -1,6 +1,93 @@
 const { check, body } = require('express-validator');
 const validatorMiddleware = require('../../middlewares/validatorMiddleware');
 
+// Check seat map structure and that seat labels are unique across the map
+const seatMapValidator = () =>
+  body('seatMap')
+    .optional()
+    .custom((seatMap) => {
+      if (!seatMap || !Array.isArray(seatMap.sections)) {
+        throw new Error('Seat map must contain a sections array');
+      }
+      const labels = [];
+      seatMap.sections.forEach((section) => {
+        if (!section.name) throw new Error('Every seat map section needs a name');
+        (section.rows || []).forEach((row) => {
+          if (!row.label) throw new Error(`Every row in section ${section.name} needs a label`);
+          (row.seats || []).forEach((seat) => {
+            if (!seat.label) throw new Error(`Every seat in row ${row.label} needs a label`);
+            labels.push(seat.label);
+          });
+        });
+      });
+      if (new Set(labels).size !== labels.length) {
+        throw new Error('Seat labels must be unique across the seat map');
+      }
+      return true;
+    });
+
+// Check refund rules are well formed and don't repeat the same cutoff
+const refundPolicyValidator = () => [
+  check('refundPolicy.rules')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Refund rules must be an array of at most 10 rules')
+    .custom((rules) => {
+      const cutoffs = rules.map((rule) => Number(rule.hoursBefore));
+      if (new Set(cutoffs).size !== cutoffs.length) {
+        throw new Error('Refund rules must have different hours before the event');
+      }
+      return true;
+    }),
+
+  check('refundPolicy.rules.*.hoursBefore')
+    .isFloat({ min: 0 })
+    .withMessage('Refund rule hours before event must be a positive number'),
+
+  check('refundPolicy.rules.*.percentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Refund percentage must be between 0 and 100'),
+];
+
+// Check gate names are unique and that ticket tiers only use defined gates
+const gatesValidator = () => [
+  check('gates')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Gates must be an array of at most 20 gates')
+    .custom((gates) => {
+      const names = gates.map((gate) => gate.name);
+      if (new Set(names).size !== names.length) {
+        throw new Error('Gate names must be unique');
+      }
+      return true;
+    }),
+
+  check('gates.*.name')
+    .notEmpty()
+    .withMessage('Gate name is required')
+    .isLength({ max: 50 })
+    .withMessage('Gate name cannot exceed 50 characters'),
+
+  check('gates.*.staff.*')
+    .isMongoId()
+    .withMessage('Invalid gate staff id format'),
+
+  check('ticketTypes.*.gates')
+    .optional()
+    .isArray()
+    .withMessage('Ticket type gates must be an array')
+    .custom((gates, { req }) => {
+      if (!Array.isArray(req.body.gates)) return true;
+      const names = req.body.gates.map((gate) => gate.name);
+      const unknown = gates.find((gate) => !names.includes(gate));
+      if (unknown) {
+        throw new Error(`Ticket type gate ${unknown} is not one of the event gates`);
+      }
+      return true;
+    }),
+];
+
 exports.getEventValidator = [
   check('id')
     .custom((val) => {
@@ -87,6 +174,87 @@ exports.createEventValidator = [
     .isInt({ min: 1 })
     .withMessage('Total seats must be at least 1'),
     
+  check('ticketTypes')
+    .optional()
+    .isArray()
+    .withMessage('Ticket types must be an array'),
+    
+  check('ticketTypes.*.name')
+    .notEmpty()
+    .withMessage('Ticket type name is required')
+    .isLength({ max: 50 })
+    .withMessage('Ticket type name cannot exceed 50 characters'),
+    
+  check('ticketTypes.*.price')
+    .notEmpty()
+    .withMessage('Ticket type price is required')
+    .isFloat({ min: 0 })
+    .withMessage('Ticket type price must be a positive number'),
+    
+  check('ticketTypes.*.currency')
+    .optional()
+    .isIn(['EGP', 'USD', 'EUR'])
+    .withMessage('Invalid ticket type currency'),
+    
+  check('ticketTypes.*.quota')
+    .notEmpty()
+    .withMessage('Ticket type quota is required')
+    .isInt({ min: 1 })
+    .withMessage('Ticket type quota must be at least 1'),
+    
+  check('ticketTypes.*.maxPerOrder')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-order limit must be at least 1'),
+    
+  check('ticketTypes.*.salesStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid sales start date format'),
+    
+  check('ticketTypes.*.salesEnd')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid sales end date format'),
+    
+  body('ticketTypes')
+    .optional()
+    .custom((types, { req }) => {
+      if (!Array.isArray(types)) return true;
+      const totalQuota = types.reduce((sum, type) => sum + Number(type.quota || 0), 0);
+      const totalSeats = req.body.capacity && req.body.capacity.totalSeats;
+      if (totalSeats && totalQuota > Number(totalSeats)) {
+        throw new Error('Ticket type quotas cannot exceed total seats');
+      }
+      return true;
+    }),
+    
+  seatMapValidator(),
+    
+  ...refundPolicyValidator(),
+    
+  ...gatesValidator(),
+    
+  check('allowTransfers')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow transfers must be true or false'),
+    
+  check('allowReEntry')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow re-entry must be true or false'),
+    
+  check('resale.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Resale enabled must be true or false'),
+    
+  check('resale.maxPricePercentage')
+    .optional()
+    .isFloat({ min: 1, max: 500 })
+    .withMessage('Resale price cap must be between 1% and 500% of face value'),
+    
   check('ageRestriction.minAge')
     .optional()
     .isInt({ min: 0, max: 120 })
@@ -138,10 +306,206 @@ exports.updateEventValidator = [
     .isInt({ min: 1 })
     .withMessage('Total seats must be at least 1'),
     
+  // Sales counters only move with bookings and holds
+  ...['capacity.availableSeats', 'capacity.soldSeats', 'capacity.heldSeats', 'ticketTypes.*.sold', 'ticketTypes.*.held']
+    .map((field) => body(field).not().exists().withMessage(`${field} cannot be set directly`)),
+    
+  // Queued edits only settle through PATCH /events/:id/pending-changes
+  body('pendingChanges').not().exists().withMessage('pendingChanges cannot be set directly'),
+    
+  check('ticketTypes')
+    .optional()
+    .isArray()
+    .withMessage('Ticket types must be an array'),
+    
+  check('ticketTypes.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket type id'),
+    
+  check('ticketTypes.*.name')
+    .notEmpty()
+    .withMessage('Ticket type name is required')
+    .isLength({ max: 50 })
+    .withMessage('Ticket type name cannot exceed 50 characters'),
+    
+  check('ticketTypes.*.price')
+    .notEmpty()
+    .withMessage('Ticket type price is required')
+    .isFloat({ min: 0 })
+    .withMessage('Ticket type price must be a positive number'),
+    
+  check('ticketTypes.*.currency')
+    .optional()
+    .isIn(['EGP', 'USD', 'EUR'])
+    .withMessage('Invalid ticket type currency'),
+    
+  check('ticketTypes.*.quota')
+    .notEmpty()
+    .withMessage('Ticket type quota is required')
+    .isInt({ min: 1 })
+    .withMessage('Ticket type quota must be at least 1'),
+    
+  check('ticketTypes.*.maxPerOrder')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-order limit must be at least 1'),
+    
+  check('ticketTypes.*.salesStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid sales start date format'),
+    
+  check('ticketTypes.*.salesEnd')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid sales end date format'),
+    
+  // Quotas are checked against the stored seats (and what was already sold) when the update runs
+  body('ticketTypes')
+    .optional()
+    .custom((types, { req }) => {
+      if (!Array.isArray(types)) return true;
+      const totalQuota = types.reduce((sum, type) => sum + Number(type.quota || 0), 0);
+      const totalSeats = req.body.capacity && req.body.capacity.totalSeats;
+      if (totalSeats && totalQuota > Number(totalSeats)) {
+        throw new Error('Ticket type quotas cannot exceed total seats');
+      }
+      return true;
+    }),
+    
+  seatMapValidator(),
+    
+  ...refundPolicyValidator(),
+    
+  ...gatesValidator(),
+    
+  check('allowTransfers')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow transfers must be true or false'),
+    
+  check('allowReEntry')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow re-entry must be true or false'),
+    
+  check('resale.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Resale enabled must be true or false'),
+    
+  check('resale.maxPricePercentage')
+    .optional()
+    .isFloat({ min: 1, max: 500 })
+    .withMessage('Resale price cap must be between 1% and 500% of face value'),
+    
+  check('scope')
+    .optional()
+    .isIn(['occurrence', 'future'])
+    .withMessage('Scope must be occurrence or future'),
+    
   validatorMiddleware,
 ];
 
 exports.deleteEventValidator = [
   check('id').isMongoId().withMessage('Invalid event id format'),
   validatorMiddleware,
-];
\ No newline at end of file
+];
+
+exports.cancelEventValidator = [
+  check('id').isMongoId().withMessage('Invalid event id format'),
+
+  check('reason')
+    .notEmpty()
+    .withMessage('Cancellation reason is required')
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Cancellation reason must be between 5 and 500 characters'),
+
+  validatorMiddleware,
+];
+
+exports.rescheduleEventValidator = [
+  check('id').isMongoId().withMessage('Invalid event id format'),
+
+  check('dateTime.start')
+    .notEmpty()
+    .withMessage('New start date is required')
+    .isISO8601()
+    .withMessage('Invalid start date format')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Start date must be in the future');
+      }
+      return true;
+    }),
+
+  check('dateTime.end')
+    .notEmpty()
+    .withMessage('New end date is required')
+    .isISO8601()
+    .withMessage('Invalid end date format')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.dateTime.start)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+
+  check('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  check('responseDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Response window must be between 1 and 30 days'),
+
+  validatorMiddleware,
+];
+
+exports.changeEventStatusValidator = [
+  check('id').isMongoId().withMessage('Invalid event id format'),
+
+  check('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(['draft', 'in_review', 'scheduled', 'published', 'completed'])
+    .withMessage('Status must be draft, in_review, scheduled, published or completed'),
+
+  check('publishAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid publish date format')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Publish date must be in the future');
+      }
+      return true;
+    }),
+
+  check('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  validatorMiddleware,
+];
+
+exports.reviewPendingChangesValidator = [
+  check('id').isMongoId().withMessage('Invalid event id format'),
+
+  check('decision')
+    .notEmpty()
+    .withMessage('Decision is required')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+
+  check('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  validatorMiddleware,
+];
@@ -0,0 +1,38 @@
+const { check } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+
+exports.createHoldValidator = [
+  check('eventId').isMongoId().withMessage('Invalid event id format'),
+
+  check('seats')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('You can hold between 1 and 10 seats'),
+
+  check('seats.*')
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Seat number must be between 1 and 10 characters'),
+
+  check('quantity')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('You can hold between 1 and 10 seats'),
+
+  check('ticketTypeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket type id format'),
+
+  check('minutes')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Seats can be held for 1 to 30 minutes'),
+
+  validatorMiddleware,
+];
+
+exports.deleteHoldValidator = [
+  check('eventId').isMongoId().withMessage('Invalid event id format'),
+  check('id').isMongoId().withMessage('Invalid hold id format'),
+  validatorMiddleware,
+];
@@ -0,0 +1,78 @@
+const { check } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+
+exports.getOrderValidator = [
+  check('id').isMongoId().withMessage('Invalid order id format'),
+  validatorMiddleware,
+];
+
+exports.createOrderValidator = [
+  check('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isMongoId()
+    .withMessage('Invalid event id format'),
+
+  check('paymentMethod')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isIn(['cash', 'card', 'online', 'bank_transfer'])
+    .withMessage('Invalid payment method'),
+
+  check('paymentMethodId')
+    .optional()
+    .isString()
+    .withMessage('Payment method id must be a string'),
+
+  check('holdId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid hold id format'),
+
+  check('promoCode')
+    .optional()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Promo code must be between 3 and 30 characters'),
+
+  check('tickets')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('An order must contain between 1 and 10 tickets'),
+
+  check('tickets.*.ticketTypeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket type id format'),
+
+  check('tickets.*.seatNumber')
+    .notEmpty()
+    .withMessage('Seat number is required')
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Seat number must be between 1 and 10 characters'),
+
+  check('tickets.*.attendeeInfo.name')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Attendee name must be between 2 and 50 characters'),
+
+  check('tickets.*.attendeeInfo.email')
+    .optional()
+    .isEmail()
+    .withMessage('Invalid email format'),
+
+  check('tickets.*.attendeeInfo.phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Invalid phone number'),
+
+  check('tickets.*.attendeeInfo.age')
+    .optional()
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Age must be between 1 and 120'),
+
+  check('tickets.*.attendeeInfo.gender')
+    .optional()
+    .isIn(['male', 'female', 'other'])
+    .withMessage('Invalid gender'),
+
+  validatorMiddleware,
+];
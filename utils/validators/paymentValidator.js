@@ -0,0 +1,21 @@
+const { check } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+
+exports.syncPaymentValidator = [
+  check('transactionId')
+    .notEmpty()
+    .withMessage('Payment id is required')
+    .isLength({ max: 255 })
+    .withMessage('Invalid payment id'),
+  validatorMiddleware,
+];
+
+exports.getPaymentEventValidator = [
+  check('id').isMongoId().withMessage('Invalid payment event id format'),
+  validatorMiddleware,
+];
+
+exports.reprocessPaymentEventValidator = [
+  check('id').isMongoId().withMessage('Invalid payment event id format'),
+  validatorMiddleware,
+];
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { check, body } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+const PromoCode = require('../../models/promoCodeModel');
+const Event = require('../../models/eventModel');
+
+// Percentage discounts stay within 100 and the validity window ends after it starts
+const checkPromoRules = ({ discountType, discountValue, validFrom, validUntil }) => {
+  if (discountType === 'percentage' && Number(discountValue) > 100) {
+    throw new Error('Percentage discount cannot exceed 100');
+  }
+  if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+    throw new Error('Valid until must be after valid from');
+  }
+  return true;
+};
+
+// Managers only discount their own events: their codes name those events and no categories,
+// which would reach the events of other organizers
+const checkManagerScope = async ({ events, categories }, req) => {
+  if (req.user.role === 'admin') return true;
+  if (Array.isArray(categories) && categories.length > 0) {
+    throw new Error('Only admins can make promo codes for categories');
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('Promo codes need the events they apply to');
+  }
+  // Malformed ids are reported by the events.* check
+  if (!events.every((id) => mongoose.isValidObjectId(id))) return true;
+
+  const ids = [...new Set(events.map(String))];
+  const owned = await Event.countDocuments({ _id: { $in: ids }, organizer: req.user._id });
+  if (owned !== ids.length) {
+    throw new Error('Promo codes can only apply to your own events');
+  }
+  return true;
+};
+
+exports.getPromoCodeValidator = [
+  check('id').isMongoId().withMessage('Invalid promo code id format'),
+  validatorMiddleware,
+];
+
+exports.createPromoCodeValidator = [
+  check('code')
+    .notEmpty()
+    .withMessage('Promo code is required')
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Promo code must be between 3 and 30 characters')
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('Promo code can only contain letters, numbers, dashes and underscores'),
+
+  check('discountType')
+    .notEmpty()
+    .withMessage('Discount type is required')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+
+  check('discountValue')
+    .notEmpty()
+    .withMessage('Discount value is required')
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+
+  check('maxUses')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Usage cap must be at least 1'),
+
+  check('maxUsesPerUser')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-user usage cap must be at least 1'),
+
+  check('minQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum quantity must be at least 1'),
+
+  check('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid valid from date format'),
+
+  check('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid valid until date format'),
+
+  body().custom((payload) => checkPromoRules(payload)),
+
+  check('events.*').isMongoId().withMessage('Invalid event id'),
+
+  check('categories.*').isMongoId().withMessage('Invalid category id'),
+
+  body().custom((payload, { req }) => checkManagerScope(payload, req)),
+
+  validatorMiddleware,
+];
+
+exports.updatePromoCodeValidator = [
+  check('id').isMongoId().withMessage('Invalid promo code id format'),
+
+  check('discountType')
+    .optional()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+
+  check('discountValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+
+  check('maxUses')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Usage cap must be at least 1'),
+
+  check('maxUsesPerUser')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-user usage cap must be at least 1'),
+
+  check('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid valid from date format'),
+
+  check('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid valid until date format'),
+
+  // The save hook does not run on updates, what is not sent comes from the stored code
+  body().custom(async (payload, { req }) => {
+    const fields = ['discountType', 'discountValue', 'validFrom', 'validUntil'];
+    if (!fields.some((field) => payload[field] !== undefined)) return true;
+
+    const stored = await PromoCode.findById(req.params.id);
+    if (!stored) return true;
+    const merged = {};
+    fields.forEach((field) => {
+      merged[field] = payload[field] !== undefined ? payload[field] : stored[field];
+    });
+    return checkPromoRules(merged);
+  }),
+
+  check('events.*').isMongoId().withMessage('Invalid event id'),
+
+  check('categories.*').isMongoId().withMessage('Invalid category id'),
+
+  // A manager's code stays scoped to their own events, whatever else the update changes
+  body().custom(async (payload, { req }) => {
+    if (req.user.role === 'admin') return true;
+
+    const stored = await PromoCode.findById(req.params.id);
+    if (!stored) return true;
+    return checkManagerScope({
+      events: payload.events !== undefined ? payload.events : stored.events,
+      categories: payload.categories !== undefined ? payload.categories : stored.categories
+    }, req);
+  }),
+
+  check('usedCount')
+    .not()
+    .exists()
+    .withMessage('Usage count cannot be changed'),
+
+  check('createdBy')
+    .not()
+    .exists()
+    .withMessage('Promo code creator cannot be changed'),
+
+  validatorMiddleware,
+];
+
+exports.deletePromoCodeValidator = [
+  check('id').isMongoId().withMessage('Invalid promo code id format'),
+  validatorMiddleware,
+];
@@ -0,0 +1,54 @@
+const { check } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+
+exports.createListingValidator = [
+  check('id').isMongoId().withMessage('Invalid ticket id format'),
+
+  check('price')
+    .notEmpty()
+    .withMessage('Resale price is required')
+    .isFloat({ gt: 0 })
+    .withMessage('Resale price must be greater than 0'),
+
+  validatorMiddleware,
+];
+
+exports.getListingsValidator = [
+  check('event')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid event id format'),
+  validatorMiddleware,
+];
+
+exports.purchaseListingValidator = [
+  check('id').isMongoId().withMessage('Invalid listing id format'),
+
+  check('paymentMethod')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isIn(['card', 'online'])
+    .withMessage('Resale tickets can only be paid by card or online'),
+
+  check('paymentMethodId')
+    .optional()
+    .isString()
+    .withMessage('Payment method id must be a string'),
+
+  check('attendeeInfo.name')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Attendee name must be between 2 and 50 characters'),
+
+  check('attendeeInfo.email')
+    .optional()
+    .isEmail()
+    .withMessage('Invalid attendee email'),
+
+  validatorMiddleware,
+];
+
+exports.cancelListingValidator = [
+  check('id').isMongoId().withMessage('Invalid listing id format'),
+  validatorMiddleware,
+];
@@ -0,0 +1,131 @@
+const { check, body } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+
+const SESSION_FORMATS = ['talk', 'keynote', 'workshop', 'panel', 'break', 'other'];
+
+// Fields shared by session create and update, `required` is false when updating
+const sessionFieldsValidator = (required) => {
+  const field = (name, message) =>
+    (required ? check(name).notEmpty().withMessage(message) : check(name).optional());
+  return [
+    field('title', 'Session title is required')
+      .isLength({ min: 3, max: 150 })
+      .withMessage('Session title must be between 3 and 150 characters'),
+
+    check('description')
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage('Session description cannot exceed 2000 characters'),
+
+    check('format')
+      .optional()
+      .isIn(SESSION_FORMATS)
+      .withMessage(`Session format must be one of ${SESSION_FORMATS.join(', ')}`),
+
+    check('track')
+      .optional()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Track name must be between 1 and 50 characters'),
+
+    check('room')
+      .optional()
+      .isLength({ max: 50 })
+      .withMessage('Room name cannot exceed 50 characters'),
+
+    field('startsAt', 'Session start is required')
+      .isISO8601()
+      .withMessage('Invalid session start format'),
+
+    field('endsAt', 'Session end is required')
+      .isISO8601()
+      .withMessage('Invalid session end format'),
+
+    body('endsAt')
+      .optional()
+      .custom((value, { req }) => {
+        if (req.body.startsAt && new Date(value) <= new Date(req.body.startsAt)) {
+          throw new Error('Session end must be after its start');
+        }
+        return true;
+      }),
+
+    check('speakers')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Speakers must be an array of at most 20 speakers'),
+
+    check('speakers.*')
+      .isMongoId()
+      .withMessage('Invalid speaker id format'),
+
+    check('capacity')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Session capacity must be at least 1'),
+  ];
+};
+
+exports.getSessionValidator = [
+  check('id').isMongoId().withMessage('Invalid session id format'),
+  validatorMiddleware,
+];
+
+exports.createSessionValidator = [
+  check('event')
+    .notEmpty()
+    .withMessage('Session must belong to an event')
+    .isMongoId()
+    .withMessage('Invalid event id format'),
+
+  ...sessionFieldsValidator(true),
+
+  validatorMiddleware,
+];
+
+exports.updateSessionValidator = [
+  check('id').isMongoId().withMessage('Invalid session id format'),
+
+  ...sessionFieldsValidator(false),
+
+  validatorMiddleware,
+];
+
+exports.deleteSessionValidator = [
+  check('id').isMongoId().withMessage('Invalid session id format'),
+  validatorMiddleware,
+];
+
+exports.eventAgendaValidator = [
+  check('id').isMongoId().withMessage('Invalid event id format'),
+  validatorMiddleware,
+];
+
+exports.registerForSessionValidator = [
+  check('id').isMongoId().withMessage('Invalid session id format'),
+
+  check('ticketId')
+    .notEmpty()
+    .withMessage('Ticket id is required')
+    .isMongoId()
+    .withMessage('Invalid ticket id format'),
+
+  validatorMiddleware,
+];
+
+exports.cancelSessionRegistrationValidator = [
+  check('id').isMongoId().withMessage('Invalid session id format'),
+  check('ticketId').isMongoId().withMessage('Invalid ticket id format'),
+  validatorMiddleware,
+];
+
+exports.checkInSessionValidator = [
+  check('id').isMongoId().withMessage('Invalid session id format'),
+
+  check('qrData')
+    .notEmpty()
+    .withMessage('QR data is required')
+    .isLength({ max: 2000 })
+    .withMessage('Invalid QR data format'),
+
+  validatorMiddleware,
+];
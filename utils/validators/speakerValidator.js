@@ -0,0 +1,89 @@
+const { check } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+
+exports.getSpeakerValidator = [
+  check('id').isMongoId().withMessage('Invalid speaker id format'),
+  validatorMiddleware,
+];
+
+exports.createSpeakerValidator = [
+  check('event')
+    .notEmpty()
+    .withMessage('Speaker must belong to an event')
+    .isMongoId()
+    .withMessage('Invalid event id format'),
+
+  check('name')
+    .notEmpty()
+    .withMessage('Speaker name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Speaker name must be between 2 and 100 characters'),
+
+  check('headline')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Speaker headline cannot exceed 100 characters'),
+
+  check('company')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Company cannot exceed 100 characters'),
+
+  check('bio')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Speaker bio cannot exceed 2000 characters'),
+
+  check('photo')
+    .optional()
+    .isURL()
+    .withMessage('Speaker photo must be a URL'),
+
+  check('socialLinks.*')
+    .optional()
+    .isURL()
+    .withMessage('Social links must be URLs'),
+
+  validatorMiddleware,
+];
+
+exports.updateSpeakerValidator = [
+  check('id').isMongoId().withMessage('Invalid speaker id format'),
+
+  check('name')
+    .optional()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Speaker name must be between 2 and 100 characters'),
+
+  check('headline')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Speaker headline cannot exceed 100 characters'),
+
+  check('company')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Company cannot exceed 100 characters'),
+
+  check('bio')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Speaker bio cannot exceed 2000 characters'),
+
+  check('photo')
+    .optional()
+    .isURL()
+    .withMessage('Speaker photo must be a URL'),
+
+  check('socialLinks.*')
+    .optional()
+    .isURL()
+    .withMessage('Social links must be URLs'),
+
+  validatorMiddleware,
+];
+
+exports.deleteSpeakerValidator = [
+  check('id').isMongoId().withMessage('Invalid speaker id format'),
+  validatorMiddleware,
+];
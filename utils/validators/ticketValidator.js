@@ -1,4 +1,4 @@
-const { check, body } = require('express-validator');
+const { check, body, query } = require('express-validator');
 const validatorMiddleware = require('../../middlewares/validatorMiddleware');
 
 exports.getTicketValidator = [
@@ -13,6 +13,16 @@ exports.bookTicketValidator = [
     .isMongoId()
     .withMessage('Invalid event id format'),
     
+  check('holdId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid hold id format'),
+    
+  check('ticketTypeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket type id format'),
+    
   check('seatNumber')
     .notEmpty()
     .withMessage('Seat number is required')
@@ -25,6 +35,16 @@ exports.bookTicketValidator = [
     .isIn(['cash', 'card', 'online', 'bank_transfer'])
     .withMessage('Invalid payment method'),
     
+  check('paymentMethodId')
+    .optional()
+    .isString()
+    .withMessage('Payment method id must be a string'),
+    
+  check('promoCode')
+    .optional()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Promo code must be between 3 and 30 characters'),
+    
   check('attendeeInfo.name')
     .optional()
     .isLength({ min: 2, max: 50 })
@@ -53,26 +73,183 @@ exports.bookTicketValidator = [
   validatorMiddleware,
 ];
 
+exports.cancelTicketValidator = [
+  check('id').isMongoId().withMessage('Invalid ticket id format'),
+  
+  check('refundPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Refund percentage must be between 0 and 100'),
+    
+  check('overrideReason')
+    .optional()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Override reason must be between 5 and 500 characters'),
+    
+  validatorMiddleware,
+];
+
 exports.checkInTicketValidator = [
   check('qrData')
     .notEmpty()
     .withMessage('QR data is required')
+    .isLength({ max: 2000 })
+    .withMessage('Invalid QR data format'),
+    
+  check('gate')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Gate name cannot exceed 50 characters'),
+    
+  check('direction')
+    .optional()
+    .isIn(['in', 'out'])
+    .withMessage('Direction must be in or out'),
+    
+  validatorMiddleware,
+];
+
+exports.gateManifestValidator = [
+  check('eventId').isMongoId().withMessage('Invalid event id format'),
+  
+  check('gate')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Gate name cannot exceed 50 characters'),
+    
+  validatorMiddleware,
+];
+
+exports.checkInStreamValidator = [
+  check('eventId').isMongoId().withMessage('Invalid event id format'),
+  validatorMiddleware,
+];
+
+exports.eventBadgesValidator = [
+  check('eventId').isMongoId().withMessage('Invalid event id format'),
+  
+  query('ticketType')
+    .optional()
+    .not()
+    .isArray()
+    .withMessage('Only one ticket type can be printed at a time')
+    .isMongoId()
+    .withMessage('Invalid ticket type id format'),
+    
+  validatorMiddleware,
+];
+
+exports.issueCompTicketsValidator = [
+  check('eventId').isMongoId().withMessage('Invalid event id format'),
+  
+  check('quantity')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Quantity must be between 1 and 500'),
+    
+  body('guests')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Guests must be a list of at most 500 guests'),
+    
+  body()
     .custom((value) => {
-      try {
-        const parsed = JSON.parse(value);
-        if (!parsed.ticketId || !parsed.eventId || !parsed.ticketNumber) {
-          throw new Error('Invalid QR data format');
-        }
-        return true;
-      } catch (error) {
-        throw new Error('Invalid QR data format');
+      if (!value.quantity && !(Array.isArray(value.guests) && value.guests.length > 0)) {
+        throw new Error('Give a quantity or a list of guests');
       }
+      return true;
     }),
     
-  check('gate')
+  check('guests.*.name')
+    .notEmpty()
+    .withMessage('Guest name is required')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Guest name must be between 2 and 50 characters'),
+    
+  check('guests.*.email')
+    .notEmpty()
+    .withMessage('Guest email is required')
+    .isEmail()
+    .withMessage('Invalid guest email format'),
+    
+  check('guests.*.phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Invalid guest phone number'),
+    
+  check('guests.*.seatNumber')
+    .optional()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Seat number must be between 1 and 10 characters'),
+    
+  check('ticketTypeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket type id format'),
+    
+  check('category')
+    .notEmpty()
+    .withMessage('Comp category is required')
+    .isIn(['guest', 'press', 'sponsor', 'staff', 'other'])
+    .withMessage('Invalid comp category'),
+    
+  check('note')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Note cannot exceed 300 characters'),
+    
+  check('notify')
+    .optional()
+    .isBoolean()
+    .withMessage('Notify must be true or false'),
+    
+  validatorMiddleware,
+];
+
+exports.syncCheckInsValidator = [
+  check('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isMongoId()
+    .withMessage('Invalid event id format'),
+    
+  body('scans')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Scans must be a list of 1 to 500 scans'),
+    
+  body('scans.*.qrData')
+    .notEmpty()
+    .withMessage('QR data is required')
+    .isLength({ max: 2000 })
+    .withMessage('Invalid QR data format'),
+    
+  body('scans.*.scannedAt')
+    .notEmpty()
+    .withMessage('Scan time is required')
+    .isISO8601()
+    .withMessage('Scan time must be a valid date'),
+    
+  body('scans.*.gate')
     .optional()
     .isLength({ max: 50 })
     .withMessage('Gate name cannot exceed 50 characters'),
     
+  body('scans.*.direction')
+    .optional()
+    .isIn(['in', 'out'])
+    .withMessage('Direction must be in or out'),
+    
+  validatorMiddleware,
+];
+
+exports.rescheduleResponseValidator = [
+  check('id').isMongoId().withMessage('Invalid ticket id format'),
+
+  check('decision')
+    .notEmpty()
+    .withMessage('Decision is required')
+    .isIn(['confirm', 'refund'])
+    .withMessage('Decision must be confirm or refund'),
+
   validatorMiddleware,
-];
\ No newline at end of file
+];
@@ -0,0 +1,40 @@
+const { check } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+
+exports.createTransferValidator = [
+  check('id').isMongoId().withMessage('Invalid ticket id format'),
+
+  check('email')
+    .notEmpty()
+    .withMessage('Recipient email is required')
+    .isEmail()
+    .withMessage('Invalid email address'),
+
+  check('message')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Message cannot exceed 300 characters'),
+
+  validatorMiddleware,
+];
+
+exports.acceptTransferValidator = [
+  check('id').isMongoId().withMessage('Invalid transfer id format'),
+
+  check('attendeeInfo.name')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Attendee name must be between 2 and 50 characters'),
+
+  check('attendeeInfo.email')
+    .optional()
+    .isEmail()
+    .withMessage('Invalid attendee email'),
+
+  validatorMiddleware,
+];
+
+exports.transferIdValidator = [
+  check('id').isMongoId().withMessage('Invalid transfer id format'),
+  validatorMiddleware,
+];
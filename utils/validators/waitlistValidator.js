@@ -0,0 +1,29 @@
+const { check } = require('express-validator');
+const validatorMiddleware = require('../../middlewares/validatorMiddleware');
+
+exports.waitlistEventValidator = [
+  check('eventId').isMongoId().withMessage('Invalid event id format'),
+  validatorMiddleware,
+];
+
+exports.joinWaitlistValidator = [
+  check('eventId').isMongoId().withMessage('Invalid event id format'),
+
+  check('ticketTypeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket type id format'),
+
+  check('quantity')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Quantity must be between 1 and 4'),
+
+  validatorMiddleware,
+];
+
+exports.removeWaitlistEntryValidator = [
+  check('eventId').isMongoId().withMessage('Invalid event id format'),
+  check('id').isMongoId().withMessage('Invalid waitlist entry id format'),
+  validatorMiddleware,
+];
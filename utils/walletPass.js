@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+const JSZip = require('jszip');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const ApiError = require('./apiError');
+
+// Wallet passes carry the same signed QR token as the printed ticket, issued by WALLET_ORGANIZATION_NAME.
+// Apple: .pkpass bundles signed with the pass type certificate
+//   APPLE_PASS_TYPE_ID, APPLE_TEAM_ID, APPLE_PASS_CERT / APPLE_PASS_KEY (PEM files),
+//   APPLE_PASS_KEY_PASSPHRASE (optional), APPLE_WWDR_CERT (PEM file)
+// Google: "save to wallet" links, a JWT signed with a service account key
+//   GOOGLE_WALLET_ISSUER_ID, GOOGLE_WALLET_SERVICE_ACCOUNT_EMAIL, GOOGLE_WALLET_PRIVATE_KEY (PEM, \n escaped)
+
+const EVENTS_DIR = path.join(__dirname, '..', 'uploads', 'events');
+const BRAND_COLOR = { r: 31, g: 42, b: 68 };
+const GOOGLE_SAVE_URL = 'https://pay.google.com/gp/v/save';
+
+const readPem = (envName) => {
+  const filePath = process.env[envName];
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new ApiError('Apple Wallet passes are not configured', 500);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+};
+
+const sha1 = (content) => crypto.createHash('sha1').update(content).digest('hex');
+
+const seatLabel = (ticket) =>
+  [ticket.seatInfo.section, ticket.seatInfo.row, ticket.seatInfo.seatNumber].filter(Boolean).join(' / ') ||
+  'General admission';
+
+const hasCoordinates = (venue) =>
+  venue.coordinates && typeof venue.coordinates.lat === 'number' && typeof venue.coordinates.lng === 'number';
+
+const eventRevision = (event) =>
+  sha1(JSON.stringify([event.title, event.dateTime.start, event.dateTime.end, event.venue])).slice(0, 12);
+
+// Fingerprint of everything shown on a pass, a new one means the pass has to be regenerated
+exports.passFingerprint = (ticket, event) =>
+  sha1(JSON.stringify([
+    ticket.qrCode.data,
+    ticket.attendeeInfo.name,
+    seatLabel(ticket),
+    eventRevision(event)
+  ]));
+
+// Pass images: the event cover when there is one, a plain brand square otherwise
+const passImages = async (event) => {
+  const coverPath = event.coverImage && path.join(EVENTS_DIR, path.basename(event.coverImage));
+  const source = coverPath && fs.existsSync(coverPath)
+    ? () => sharp(coverPath)
+    : () => sharp({ create: { width: 640, height: 640, channels: 3, background: BRAND_COLOR } });
+
+  const square = (size) => source().resize(size, size, { fit: 'cover' }).png().toBuffer();
+  return {
+    'icon.png': await square(29),
+    'icon@2x.png': await square(58),
+    'logo.png': await square(50),
+    'logo@2x.png': await square(100),
+    'strip.png': await source().resize(375, 123, { fit: 'cover' }).png().toBuffer(),
+    'strip@2x.png': await source().resize(750, 246, { fit: 'cover' }).png().toBuffer()
+  };
+};
+
+// Detached PKCS#7 signature of the manifest, as Apple Wallet expects it
+const signManifest = (manifest) => {
+  const certificate = forge.pki.certificateFromPem(readPem('APPLE_PASS_CERT'));
+  const wwdr = forge.pki.certificateFromPem(readPem('APPLE_WWDR_CERT'));
+  const keyPem = readPem('APPLE_PASS_KEY');
+  const key = process.env.APPLE_PASS_KEY_PASSPHRASE
+    ? forge.pki.decryptRsaPrivateKey(keyPem, process.env.APPLE_PASS_KEY_PASSPHRASE)
+    : forge.pki.privateKeyFromPem(keyPem);
+  if (!key) {
+    throw new ApiError('Apple Wallet signing key could not be read', 500);
+  }
+
+  const signed = forge.pkcs7.createSignedData();
+  signed.content = forge.util.createBuffer(manifest, 'utf8');
+  signed.addCertificate(certificate);
+  signed.addCertificate(wwdr);
+  signed.addSigner({
+    key,
+    certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() }
+    ]
+  });
+  signed.sign({ detached: true });
+  return Buffer.from(forge.asn1.toDer(signed.toAsn1()).getBytes(), 'binary');
+};
+
+// Build a signed .pkpass bundle for a ticket
+exports.buildApplePass = async (ticket, event) => {
+  const passTypeIdentifier = process.env.APPLE_PASS_TYPE_ID;
+  const teamIdentifier = process.env.APPLE_TEAM_ID;
+  if (!passTypeIdentifier || !teamIdentifier) {
+    throw new ApiError('Apple Wallet passes are not configured', 500);
+  }
+
+  const pass = {
+    formatVersion: 1,
+    passTypeIdentifier,
+    teamIdentifier,
+    serialNumber: ticket.ticketNumber,
+    organizationName: process.env.WALLET_ORGANIZATION_NAME || 'Events',
+    description: `Ticket for ${event.title}`,
+    backgroundColor: `rgb(${BRAND_COLOR.r}, ${BRAND_COLOR.g}, ${BRAND_COLOR.b})`,
+    foregroundColor: 'rgb(255, 255, 255)',
+    labelColor: 'rgb(203, 213, 225)',
+    relevantDate: event.dateTime.start.toISOString(),
+    expirationDate: (ticket.validUntil || event.dateTime.end).toISOString(),
+    barcodes: [{ format: 'PKBarcodeFormatQR', message: ticket.qrCode.data, messageEncoding: 'iso-8859-1' }],
+    eventTicket: {
+      primaryFields: [{ key: 'event', label: 'EVENT', value: event.title }],
+      secondaryFields: [
+        { key: 'date', label: 'DATE', value: event.dateTime.start.toISOString(), dateStyle: 'PKDateStyleMedium', timeStyle: 'PKDateStyleShort' },
+        { key: 'seat', label: 'SEAT', value: seatLabel(ticket) }
+      ],
+      auxiliaryFields: [
+        { key: 'attendee', label: 'ATTENDEE', value: ticket.attendeeInfo.name },
+        { key: 'type', label: 'TICKET', value: (ticket.ticketType && ticket.ticketType.name) || 'Admission' }
+      ],
+      backFields: [
+        { key: 'number', label: 'Ticket number', value: ticket.ticketNumber },
+        { key: 'venue', label: 'Venue', value: [event.venue.name, event.venue.address, event.venue.city].join(', ') }
+      ]
+    }
+  };
+  if (hasCoordinates(event.venue)) {
+    pass.locations = [{
+      latitude: event.venue.coordinates.lat,
+      longitude: event.venue.coordinates.lng,
+      relevantText: `Welcome to ${event.title}`
+    }];
+  }
+
+  const files = { 'pass.json': Buffer.from(JSON.stringify(pass)), ...(await passImages(event)) };
+  const manifest = JSON.stringify(
+    Object.fromEntries(Object.entries(files).map(([name, content]) => [name, sha1(content)]))
+  );
+
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  zip.file('manifest.json', manifest);
+  zip.file('signature', signManifest(manifest));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Build the Google Wallet "save" link for a ticket.
+// Objects saved through a link cannot be changed afterwards, so every revision gets its own class / object id
+exports.buildGoogleSaveUrl = (ticket, event) => {
+  const issuerId = process.env.GOOGLE_WALLET_ISSUER_ID;
+  const serviceAccount = process.env.GOOGLE_WALLET_SERVICE_ACCOUNT_EMAIL;
+  const privateKey = (process.env.GOOGLE_WALLET_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+  if (!issuerId || !serviceAccount || !privateKey) {
+    throw new ApiError('Google Wallet passes are not configured', 500);
+  }
+
+  const classId = `${issuerId}.event-${event._id}-${eventRevision(event)}`;
+  const ticketClass = {
+    id: classId,
+    issuerName: process.env.WALLET_ORGANIZATION_NAME || 'Events',
+    reviewStatus: 'UNDER_REVIEW',
+    eventName: { defaultValue: { language: 'en-US', value: event.title } },
+    venue: {
+      name: { defaultValue: { language: 'en-US', value: event.venue.name } },
+      address: { defaultValue: { language: 'en-US', value: `${event.venue.address}, ${event.venue.city}` } }
+    },
+    dateTime: { start: event.dateTime.start.toISOString(), end: event.dateTime.end.toISOString() }
+  };
+  if (hasCoordinates(event.venue)) {
+    ticketClass.locations = [{ latitude: event.venue.coordinates.lat, longitude: event.venue.coordinates.lng }];
+  }
+
+  const ticketObject = {
+    id: `${issuerId}.ticket-${ticket._id}-${exports.passFingerprint(ticket, event).slice(0, 12)}`,
+    classId,
+    state: 'ACTIVE',
+    ticketHolderName: ticket.attendeeInfo.name,
+    ticketNumber: ticket.ticketNumber,
+    ticketType: { defaultValue: { language: 'en-US', value: (ticket.ticketType && ticket.ticketType.name) || 'Admission' } },
+    seatInfo: ticket.seatInfo.seatNumber
+      ? {
+        seat: { defaultValue: { language: 'en-US', value: ticket.seatInfo.seatNumber } },
+        row: ticket.seatInfo.row ? { defaultValue: { language: 'en-US', value: ticket.seatInfo.row } } : undefined,
+        section: ticket.seatInfo.section ? { defaultValue: { language: 'en-US', value: ticket.seatInfo.section } } : undefined
+      }
+      : undefined,
+    barcode: { type: 'QR_CODE', value: ticket.qrCode.data, alternateText: ticket.ticketNumber },
+    validTimeInterval: {
+      end: { date: (ticket.validUntil || event.dateTime.end).toISOString() }
+    }
+  };
+
+  const token = jwt.sign(
+    {
+      iss: serviceAccount,
+      aud: 'google',
+      typ: 'savetowallet',
+      origins: [],
+      payload: { eventTicketClasses: [ticketClass], eventTicketObjects: [ticketObject] }
+    },
+    privateKey,
+    { algorithm: 'RS256' }
+  );
+  return `${GOOGLE_SAVE_URL}/${token}`;
+};